@@ -0,0 +1,313 @@
+/**
+ * 按日历日期聚合历史快照
+ *
+ * 所有周期（周、月、季度、自定义范围）都表示为闭区间 [from, to]。
+ * 区间增量 = to 当天（或之前最近一次）的快照 - from 前一天（或之前最近一次）的快照，
+ * 相邻周期首尾相接，不会重复或遗漏。没有基线快照的仓库会被标记，而不是与 0 比较。
+ */
+import { normalizeStats, diffStats } from "./metrics.js";
+
+// ========== 日期工具 ==========
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEK_PATTERN = /^(\d{4})-W(\d{2})$/;
+
+const toDateString = (date) => date.toISOString().split("T")[0];
+
+const today = () => toDateString(new Date());
+
+const parseDate = (date) => new Date(`${date}T00:00:00Z`);
+
+const addDays = (date, days) => {
+  const d = parseDate(date);
+  d.setUTCDate(d.getUTCDate() + days);
+  return toDateString(d);
+};
+
+const daysBetween = (from, to) => Math.round((parseDate(to) - parseDate(from)) / 86400000);
+
+// 周期标签无效，如 2025-W99、2025-13
+class PeriodError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PeriodError";
+  }
+}
+
+const isValidDate = (date) => DATE_PATTERN.test(date) &&
+  !Number.isNaN(parseDate(date).getTime()) &&
+  toDateString(parseDate(date)) === date;
+
+// ISO 周：周一为一周的第一天，包含当年第一个周四的周为第 1 周
+const isoWeek = (date) => {
+  const d = parseDate(date);
+  const weekday = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - weekday);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+};
+
+// 一年的 ISO 周数（52 或 53），12 月 28 日总在最后一周
+const isoWeeksInYear = (year) => parseInt(isoWeek(`${year}-12-28`).split("-W")[1]);
+
+const isoWeekRange = (week) => {
+  const match = week.match(WEEK_PATTERN);
+  if (!match) throw new PeriodError(`无效的 ISO 周: ${week}（格式为 2025-W23）`);
+  const weeks = isoWeeksInYear(match[1]);
+  if (parseInt(match[2]) < 1 || parseInt(match[2]) > weeks) {
+    throw new PeriodError(`无效的 ISO 周: ${week}（${match[1]} 年只有第 1 ~ ${weeks} 周）`);
+  }
+  // 1 月 4 日总在第 1 周
+  const jan4 = new Date(Date.UTC(parseInt(match[1]), 0, 4));
+  const weekday = jan4.getUTCDay() || 7;
+  const monday = toDateString(jan4);
+  const from = addDays(monday, (parseInt(match[2]) - 1) * 7 - (weekday - 1));
+  return { from, to: addDays(from, 6), label: week };
+};
+
+// 包含 date 的自然周期：week（ISO 周）、month、quarter
+const periodRange = (period, date = today()) => {
+  const d = parseDate(date);
+  const year = d.getUTCFullYear();
+  switch (period) {
+    case "week":
+      return isoWeekRange(isoWeek(date));
+    case "month": {
+      const month = d.getUTCMonth();
+      return {
+        from: toDateString(new Date(Date.UTC(year, month, 1))),
+        to: toDateString(new Date(Date.UTC(year, month + 1, 0))),
+        label: `${year}-${String(month + 1).padStart(2, "0")}`
+      };
+    }
+    case "quarter": {
+      const quarter = Math.floor(d.getUTCMonth() / 3);
+      return {
+        from: toDateString(new Date(Date.UTC(year, quarter * 3, 1))),
+        to: toDateString(new Date(Date.UTC(year, quarter * 3 + 3, 0))),
+        label: `${year}-Q${quarter + 1}`
+      };
+    }
+    default:
+      throw new Error(`未知的周期类型: ${period}（可选：week, month, quarter）`);
+  }
+};
+
+// 由标签解析周期：2025-W23、2025-06、2025-Q2
+const rangeFromLabel = (label) => {
+  if (WEEK_PATTERN.test(label)) return isoWeekRange(label);
+  const month = label.match(/^(\d{4})-(0[1-9]|1[0-2])$/);
+  if (month) return periodRange("month", `${label}-01`);
+  const quarter = label.match(/^(\d{4})-Q([1-4])$/);
+  if (quarter) {
+    return periodRange("quarter", `${quarter[1]}-${String((parseInt(quarter[2]) - 1) * 3 + 1).padStart(2, "0")}-01`);
+  }
+  throw new PeriodError(`无效的周期标签: ${label}（示例：2025-W23、2025-06、2025-Q2）`);
+};
+
+// 上一个完整的自然周期（如在 7 月生成 6 月的月报）
+const previousPeriodRange = (period, date = today()) => {
+  const current = periodRange(period, date);
+  return periodRange(period, addDays(current.from, -1));
+};
+
+// 以 date 结尾的最近 days 天
+const trailingRange = (days, date = today()) => ({
+  from: addDays(date, -(days - 1)),
+  to: date,
+  label: `${addDays(date, -(days - 1))} ~ ${date}`
+});
+
+// 紧接在 range 之前的同类周期；自定义区间取等长的前一段
+const precedingRange = (range, period = null) => {
+  if (period) return periodRange(period, addDays(range.from, -1));
+  const length = daysBetween(range.from, range.to) + 1;
+  const to = addDays(range.from, -1);
+  const from = addDays(to, -(length - 1));
+  return { from, to, label: `${from} ~ ${to}` };
+};
+
+// ========== 快照查询 ==========
+
+// 仓库在 date 当天或之前最近一次的快照
+const snapshotOnOrBefore = (data, repo, date) => {
+  const found = Object.keys(data).sort().reverse().find(d => d <= date && data[d][repo]);
+  return found ? { date: found, stats: normalizeStats(data[found][repo]) } : null;
+};
+
+// 仓库在 [from, to] 内的第一次快照
+const firstSnapshotInRange = (data, repo, from, to) => {
+  const found = Object.keys(data).sort().find(d => d >= from && d <= to && data[d][repo]);
+  return found ? { date: found, stats: normalizeStats(data[found][repo]) } : null;
+};
+
+// ========== 聚合 ==========
+
+// 聚合单个仓库在 [from, to] 的起止快照与增量
+// status: ok（有基线）、no-baseline（区间内才开始记录）、no-data（区间内没有任何快照）
+const aggregateRepo = (data, repo, { from, to }) => {
+  const end = snapshotOnOrBefore(data, repo, to);
+  const baseline = snapshotOnOrBefore(data, repo, addDays(from, -1));
+
+  if (!end || end.date < from) {
+    return { repo, status: "no-data", baseline: null, end: null, diff: null };
+  }
+  if (!baseline) {
+    return {
+      repo,
+      status: "no-baseline",
+      baseline: null,
+      end,
+      firstSeen: firstSnapshotInRange(data, repo, from, to)?.date ?? end.date,
+      diff: null
+    };
+  }
+  return { repo, status: "ok", baseline, end, diff: diffStats(end.stats, baseline.stats) };
+};
+
+const aggregatePeriod = (data, repos, range) => ({
+  from: range.from,
+  to: range.to,
+  label: range.label || `${range.from} ~ ${range.to}`,
+  repos: repos.map(repo => aggregateRepo(data, repo, range))
+});
+
+// ========== 周期报告 ==========
+
+// 区间内相邻两天都有该指标时的单日增量（跨越空缺或缺少指标的增量不计入单日排名）
+// 回填的快照可能缺少某些指标（如超过 40k Stars 的仓库没有 stars），null 参与减法会得到错误的增量
+const dailyChanges = (data, repo, { from, to }, metric = "stars") => {
+  const changes = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const current = data[date]?.[repo];
+    const previous = data[addDays(date, -1)]?.[repo];
+    if (!current || !previous) continue;
+    const value = normalizeStats(current)[metric];
+    const base = normalizeStats(previous)[metric];
+    if (typeof value === "number" && typeof base === "number") changes.push({ date, value: value - base });
+  }
+  return changes;
+};
+
+// 按某个时点的 stars 排名（1 为最高），缺少数据的仓库不参与
+const rankBy = (items, pick) => {
+  const ranked = items
+    .map(item => ({ repo: item.repo, value: pick(item) }))
+    .filter(item => typeof item.value === "number")
+    .sort((a, b) => b.value - a.value);
+  return Object.fromEntries(ranked.map((item, index) => [item.repo, index + 1]));
+};
+
+// 增长率（%），基数为 0 或缺失时为 null
+const growthRate = (diff, base) => {
+  if (diff === null || diff === undefined || !base) return null;
+  return Math.round((diff / base) * 10000) / 100;
+};
+
+const sumMetric = (items, pick) => {
+  const values = items.map(pick).filter(value => typeof value === "number");
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+};
+
+// 合计：Stars 总数、本期与上期的 Stars、Commits 增量
+const periodTotals = (items, previousItems) => {
+  const withDiff = items.filter(item => item.status === "ok");
+  return {
+    stars: sumMetric(items, item => item.end?.stats.stars),
+    starsDiff: sumMetric(withDiff, item => item.diff.stars),
+    previousStarsDiff: sumMetric(previousItems, item => item.diff?.stars),
+    commitsDiff: sumMetric(withDiff, item => item.diff.commits),
+    previousCommitsDiff: sumMetric(previousItems, item => item.diff?.commits)
+  };
+};
+
+/**
+ * 按分组合计：groups 为 { 分组名: [仓库] }，只统计 items 中的仓库，没有仓库的分组不列出
+ * 返回 [{ name, repos, ...periodTotals }]
+ */
+const groupTotals = (groups, items, previousItems = []) => Object.entries(groups || {})
+  .map(([name, members]) => ({ name, repos: members.filter(repo => items.some(item => item.repo === repo)) }))
+  .filter(group => group.repos.length > 0)
+  .map(group => ({
+    ...group,
+    ...periodTotals(
+      items.filter(item => group.repos.includes(item.repo)),
+      previousItems.filter(item => group.repos.includes(item.repo))
+    )
+  }));
+
+// 按仓库所属的组织或用户分组：{ owner: [仓库] }，只包含 owners 中的组织或用户
+const ownerGroups = (repos, owners) => Object.fromEntries(owners
+  .map(owner => [owner, repos.filter(repo => repo.split("/")[0].toLowerCase() === owner.toLowerCase())]));
+
+// 周期报告：各仓库增量、增长率、最佳/最差单日、排名变化，以及与上一周期的对比
+// period 为 week / month / quarter 时与上一个自然周期对比，否则与等长的前一段对比
+// groups 为 { 分组名: [仓库] } 时按分组汇总报告内的仓库，orgs 为要合计的组织或用户
+const buildPeriodReport = (data, repos, range, { kind = "custom", period = null, groups = null, orgs = [] } = {}) => {
+  const current = aggregatePeriod(data, repos, range);
+  const previous = aggregatePeriod(data, repos, precedingRange(range, period));
+
+  const startRanks = rankBy(current.repos, item => item.baseline?.stats.stars);
+  const endRanks = rankBy(current.repos, item => item.end?.stats.stars);
+
+  const items = current.repos.map((item, index) => {
+    const previousItem = previous.repos[index];
+    const changes = dailyChanges(data, item.repo, range);
+    const best = changes.reduce((max, change) => (!max || change.value > max.value ? change : max), null);
+    const worst = changes.reduce((min, change) => (!min || change.value < min.value ? change : min), null);
+    const startRank = startRanks[item.repo] ?? null;
+    const endRank = endRanks[item.repo] ?? null;
+
+    return {
+      ...item,
+      growth: {
+        stars: growthRate(item.diff?.stars, item.baseline?.stats.stars),
+        commits: growthRate(item.diff?.commits, item.baseline?.stats.commits)
+      },
+      previousDiff: previousItem.diff,
+      bestDay: best,
+      worstDay: worst,
+      rank: {
+        start: startRank,
+        end: endRank,
+        change: startRank && endRank ? startRank - endRank : null
+      }
+    };
+  });
+
+  return {
+    kind,
+    label: current.label,
+    from: current.from,
+    to: current.to,
+    previous: { from: previous.from, to: previous.to, label: previous.label },
+    repos: items,
+    totals: periodTotals(items, previous.repos),
+    groups: groupTotals(groups, items, previous.repos),
+    orgs: groupTotals(ownerGroups(repos, orgs), items, previous.repos)
+  };
+};
+
+export {
+  PeriodError,
+  today,
+  addDays,
+  daysBetween,
+  isValidDate,
+  isoWeek,
+  isoWeekRange,
+  periodRange,
+  rangeFromLabel,
+  previousPeriodRange,
+  precedingRange,
+  trailingRange,
+  snapshotOnOrBefore,
+  aggregateRepo,
+  aggregatePeriod,
+  dailyChanges,
+  growthRate,
+  groupTotals,
+  ownerGroups,
+  buildPeriodReport
+};
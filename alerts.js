@@ -0,0 +1,263 @@
+/**
+ * 仓库指标异常告警
+ *
+ * 每次采集日报后按规则检查各仓库的指标，规则都是确定性的统计判断，不依赖 LLM：
+ * - starAnomaly：当日 Stars 变化偏离过去 window 天均值超过 sigma 个标准差（暴涨或暴跌）
+ * - starsDecrease：Stars 比上一次快照减少至少 min 个
+ * - issuesAbove：Open issues 达到 threshold（默认不启用）
+ * - noCommits：连续 days 天没有新提交
+ * - unreachable：采集时 GitHub 返回 403 / 404 / 410 / 451 等状态（仓库被删除、改为私有或被封禁）
+ *
+ * 规则可在配置文件中全局调整，并按仓库覆盖或关闭；同一仓库的同一类告警在冷却期内只发送一次。
+ * 告警文案来自 messages.json 的 alert.*（见 templates.js），t 缺省为内置中文。
+ */
+import fs from "fs";
+import { normalizeStats } from "./metrics.js";
+import { addDays, daysBetween, snapshotOnOrBefore, dailyChanges } from "./aggregate.js";
+import { writeFileAtomic } from "./storage.js";
+import { defaultT } from "./templates.js";
+
+const DEFAULT_CONFIG_FILE = "alerts.json";
+const DEFAULT_STATE_FILE = ".alerts-state.json";
+const DEFAULT_COOLDOWN_HOURS = 24;
+
+// 规则值为 false 时关闭；cooldownHours 可按规则单独设置
+const DEFAULT_ALERT_RULES = {
+  starAnomaly: { sigma: 3, window: 30, minSamples: 7, minChange: 10 },
+  starsDecrease: { min: 5 },
+  issuesAbove: false,
+  noCommits: { days: 30, cooldownHours: 7 * 24 },
+  unreachable: { statuses: [403, 404, 410, 451] }
+};
+
+const ALERT_LEVELS = { critical: "🚨", warning: "⚠️", info: "📈" };
+
+// ========== 配置 ==========
+
+/**
+ * 读取告警配置文件，文件不存在时使用默认规则
+ * 格式：{ cooldownHours, rules: { 规则名: 参数 | false }, groups: { 分组: { 规则名: 参数 | false } },
+ *        repos: { "owner/name": { 规则名: 参数 | false } } }
+ */
+const loadAlertConfig = (file = DEFAULT_CONFIG_FILE) => {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      throw new Error(`告警配置 ${file} 读取失败: ${e.message}`);
+    }
+  }
+
+  const unknown = [config.rules, ...Object.values(config.groups || {}), ...Object.values(config.repos || {})]
+    .flatMap(rules => Object.keys(rules || {}))
+    .filter(name => !(name in DEFAULT_ALERT_RULES));
+  if (unknown.length > 0) {
+    throw new Error(`告警配置 ${file} 中有未知的规则: ${[...new Set(unknown)].join(", ")}（可选：${Object.keys(DEFAULT_ALERT_RULES).join(", ")}）`);
+  }
+
+  return {
+    cooldownHours: config.cooldownHours ?? DEFAULT_COOLDOWN_HOURS,
+    rules: config.rules || {},
+    groups: config.groups || {},
+    repos: config.repos || {}
+  };
+};
+
+// 合并规则参数：仓库配置 > 分组配置（按标签顺序） > 全局配置 > 默认值；任一层为 false 时关闭，默认关闭的规则在配置为对象时启用
+const mergeRule = (...layers) => layers.reduce((merged, layer) => {
+  if (layer === undefined) return merged;
+  if (layer === false || layer === null) return false;
+  return { ...(merged || {}), ...layer };
+}, false);
+
+const rulesFor = (config, repo, tags = []) => Object.fromEntries(Object.keys(DEFAULT_ALERT_RULES).map(name => [
+  name,
+  mergeRule(
+    DEFAULT_ALERT_RULES[name],
+    config.rules[name],
+    ...tags.map(tag => config.groups[tag]?.[name]),
+    config.repos[repo]?.[name]
+  )
+]));
+
+// ========== 规则 ==========
+
+const formatSigned = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// 当日 Stars 变化与过去 window 天每日变化的均值、标准差比较
+const checkStarAnomaly = (data, repo, date, { sigma, window, minSamples, minChange }, t) => {
+  const current = dailyChanges(data, repo, { from: date, to: date })[0];
+  if (!current) return null;
+  const history = dailyChanges(data, repo, { from: addDays(date, -window), to: addDays(date, -1) });
+  if (history.length < minSamples) return null;
+
+  const values = history.map(change => change.value);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const std = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+  const deviation = current.value - mean;
+  // 偏离过小（如小仓库从每天 0 变为 2）不算异常
+  if (Math.abs(deviation) < minChange) return null;
+  if (std > 0 && Math.abs(deviation) <= sigma * std) return null;
+
+  const spike = deviation > 0;
+  const baseline = std > 0
+    ? t("alert.baseline", { days: history.length, mean: formatSigned(round(mean)), std: round(std), sigma: round(Math.abs(deviation) / std) })
+    : t("alert.baselineFlat", { days: history.length, mean: formatSigned(round(mean)) });
+  return {
+    type: spike ? "star-spike" : "star-drop",
+    level: spike ? "info" : "critical",
+    message: t(spike ? "alert.starSpike" : "alert.starDrop", { value: formatSigned(current.value), baseline }),
+    value: current.value
+  };
+};
+
+const checkStarsDecrease = (data, repo, date, stats, { min }, t) => {
+  const previous = snapshotOnOrBefore(data, repo, addDays(date, -1));
+  if (!previous || stats.stars === null || previous.stats.stars === null) return null;
+  const diff = stats.stars - previous.stats.stars;
+  if (diff > -min) return null;
+  return {
+    type: "stars-decrease",
+    level: "warning",
+    message: t("alert.starsDecrease", { count: -diff, date: previous.date, previous: previous.stats.stars, current: stats.stars }),
+    value: diff
+  };
+};
+
+const checkIssuesAbove = (stats, { threshold }, t) => {
+  if (typeof threshold !== "number" || stats.issues === null || stats.issues < threshold) return null;
+  return {
+    type: "issues-threshold",
+    level: "warning",
+    message: t("alert.issuesAbove", { issues: stats.issues, threshold }),
+    value: stats.issues
+  };
+};
+
+// 提交数与 days 天前（或之前最近一次）的快照相同，视为期间没有新提交
+const checkNoCommits = (data, repo, date, stats, { days }, t) => {
+  const base = snapshotOnOrBefore(data, repo, addDays(date, -days));
+  if (!base || stats.commits === null || base.stats.commits === null || stats.commits > base.stats.commits) {
+    return null;
+  }
+  const idle = daysBetween(base.date, date);
+  return {
+    type: "no-commits",
+    level: "warning",
+    message: t("alert.noCommits", { days: idle, date: base.date, commits: stats.commits }),
+    value: idle
+  };
+};
+
+const checkUnreachable = (failure, { statuses }, t) => {
+  if (!failure || !statuses.includes(failure.status)) return null;
+  return {
+    type: "unreachable",
+    level: "critical",
+    message: t("alert.unreachable", { status: failure.status, message: failure.message }),
+    value: failure.status
+  };
+};
+
+/**
+ * 检查 date 当天的告警
+ * data 需包含当天的快照；failures 为当天采集失败的仓库 [{ repo, status, message }]；tagsOf(repo) 返回仓库所属的分组
+ * 返回 [{ repo, type, level, message, value, cooldownHours }]
+ */
+const evaluateAlerts = (data, { date, repos, failures = [], tagsOf = () => [], config = loadAlertConfig(), t = defaultT }) => {
+  const alerts = [];
+  for (const repo of repos) {
+    const rules = rulesFor(config, repo, tagsOf(repo));
+    const found = [];
+
+    if (rules.unreachable) {
+      found.push([rules.unreachable, checkUnreachable(failures.find(failure => failure.repo === repo), rules.unreachable, t)]);
+    }
+
+    const snapshot = data[date]?.[repo];
+    if (snapshot) {
+      const stats = normalizeStats(snapshot);
+      const anomaly = rules.starAnomaly ? checkStarAnomaly(data, repo, date, rules.starAnomaly, t) : null;
+      found.push([rules.starAnomaly, anomaly]);
+      // 已报告 Stars 暴跌时不再重复报告 Stars 减少
+      if (rules.starsDecrease && anomaly?.type !== "star-drop") {
+        found.push([rules.starsDecrease, checkStarsDecrease(data, repo, date, stats, rules.starsDecrease, t)]);
+      }
+      if (rules.issuesAbove) found.push([rules.issuesAbove, checkIssuesAbove(stats, rules.issuesAbove, t)]);
+      if (rules.noCommits) found.push([rules.noCommits, checkNoCommits(data, repo, date, stats, rules.noCommits, t)]);
+    }
+
+    for (const [rule, alert] of found) {
+      if (alert) alerts.push({ repo, ...alert, cooldownHours: rule.cooldownHours ?? config.cooldownHours });
+    }
+  }
+  return alerts;
+};
+
+// ========== 冷却 ==========
+
+const alertKey = (alert) => `${alert.repo}:${alert.type}`;
+
+const loadState = (stateFile) => {
+  try {
+    return JSON.parse(fs.readFileSync(stateFile, "utf-8")).sent || {};
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      console.warn(`⚠️  告警状态文件 ${stateFile} 读取失败，将重新记录: ${e.message}`);
+    }
+    return {};
+  }
+};
+
+/**
+ * 创建告警器
+ * check(data, { date, repos, failures, tagsOf }) 返回 { alerts, due }，due 为不在冷却期内、需要发送的告警；
+ * 发送成功后调用 markSent(due) 记录发送时间
+ */
+const createAlerter = ({ configFile = DEFAULT_CONFIG_FILE, stateFile = DEFAULT_STATE_FILE, t = defaultT } = {}) => {
+  const config = loadAlertConfig(configFile);
+  const sent = loadState(stateFile);
+
+  const check = (data, { date, repos, failures = [], tagsOf }, now = Date.now()) => {
+    const alerts = evaluateAlerts(data, { date, repos, failures, tagsOf, config, t });
+    const due = alerts.filter(alert => {
+      const last = sent[alertKey(alert)];
+      return !last || now - Date.parse(last) >= alert.cooldownHours * 3600 * 1000;
+    });
+    return { alerts, due };
+  };
+
+  const markSent = (alerts, now = Date.now()) => {
+    for (const alert of alerts) {
+      sent[alertKey(alert)] = new Date(now).toISOString();
+    }
+    try {
+      writeFileAtomic(stateFile, JSON.stringify({ sent }, null, 2));
+    } catch (e) {
+      console.warn(`⚠️  告警状态保存失败: ${e.message}`);
+    }
+  };
+
+  return { check, markSent };
+};
+
+// 告警通知文本，严重程度高的排在前面
+const formatAlerts = (alerts, date, t = defaultT) => {
+  const order = Object.keys(ALERT_LEVELS);
+  const lines = [...alerts]
+    .sort((a, b) => order.indexOf(a.level) - order.indexOf(b.level))
+    .map(alert => `${ALERT_LEVELS[alert.level]} ` + t("alert.line", alert));
+  return `【${t("title.alerts")}】\n📅 ${t("alert.summary", { date, count: alerts.length })}\n\n${lines.join("\n")}`;
+};
+
+export {
+  DEFAULT_ALERT_RULES,
+  loadAlertConfig,
+  rulesFor,
+  evaluateAlerts,
+  createAlerter,
+  formatAlerts
+};
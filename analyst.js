@@ -0,0 +1,330 @@
+/**
+ * 基于工具调用的 AI 分析
+ *
+ * 模型通过 OpenAI function calling 查询历史数据，而不是自己从快照里数差值：
+ * - list_repos：已记录的仓库及数据覆盖范围
+ * - get_metric_series：某个仓库某项指标在区间内的每日数值
+ * - compare_periods：两个区间的增量对比（如 7 月与 6 月）
+ * - rank_repos：按数值、增量或增长率对仓库排名
+ *
+ * 每轮模型可以调用多个工具，超过 maxIterations 轮后不再提供工具、要求模型直接作答。
+ * 所有工具调用（参数、耗时、错误）都记录在返回的 toolCalls 中，便于审计；每次提问的 token 用量记录在 usage 中。
+ */
+import { METRIC_KEYS, normalizeStats } from "./metrics.js";
+import { isValidDate, rangeFromLabel, trailingRange, aggregateRepo } from "./aggregate.js";
+
+const DEFAULT_MAX_ITERATIONS = 6;
+// 单次返回的序列最多包含的点数，避免结果过大
+const MAX_SERIES_POINTS = 400;
+
+const PERIOD_DESCRIPTION = "区间：月份 2025-07、ISO 周 2025-W23、季度 2025-Q2、单日 2025-07-01，或起止日期 2025-06-01~2025-08-31";
+
+const TOOL_DEFINITIONS = [
+  {
+    type: "function",
+    function: {
+      name: "list_repos",
+      description: "列出已记录数据的仓库，以及每个仓库第一次、最后一次快照的日期和快照数",
+      parameters: { type: "object", properties: {} }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "get_metric_series",
+      description: "获取某个仓库某项指标在区间内的每日数值，以及区间内的起止值、变化量、最大值和最小值",
+      parameters: {
+        type: "object",
+        properties: {
+          repo: { type: "string", description: "仓库 owner/name，或已配置仓库的名称部分（如 wow-rag）" },
+          metric: { type: "string", enum: METRIC_KEYS, description: "指标，默认 stars" },
+          from: { type: "string", description: "开始日期 YYYY-MM-DD，默认最早的快照" },
+          to: { type: "string", description: "结束日期 YYYY-MM-DD，默认最新的快照" }
+        },
+        required: ["repo"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "compare_periods",
+      description: "对比仓库在两个区间内某项指标的增量（区间增量 = 区间结束时的快照 - 区间开始前一天的快照）",
+      parameters: {
+        type: "object",
+        properties: {
+          repos: { type: "array", items: { type: "string" }, description: "要对比的仓库，默认全部已配置仓库" },
+          metric: { type: "string", enum: METRIC_KEYS, description: "指标，默认 stars" },
+          period_a: { type: "string", description: `第一个${PERIOD_DESCRIPTION}` },
+          period_b: { type: "string", description: `第二个${PERIOD_DESCRIPTION}` }
+        },
+        required: ["period_a", "period_b"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "rank_repos",
+      description: "按某项指标对仓库排名：value 为区间结束时的数值，diff 为区间增量，growth 为区间增长率（%）",
+      parameters: {
+        type: "object",
+        properties: {
+          metric: { type: "string", enum: METRIC_KEYS, description: "指标，默认 stars" },
+          by: { type: "string", enum: ["value", "diff", "growth"], description: "排名依据，默认 diff" },
+          period: { type: "string", description: `${PERIOD_DESCRIPTION}。默认最近 30 天` },
+          limit: { type: "integer", minimum: 1, description: "返回前几名，默认全部" }
+        }
+      }
+    }
+  }
+];
+
+// ========== 工具实现 ==========
+
+// 解析区间参数，无效时抛出带示例的错误，模型可以据此修正后重试
+const parsePeriod = (value) => {
+  const match = String(value || "").trim().match(/^(\d{4}-\d{2}-\d{2})\s*~\s*(\d{4}-\d{2}-\d{2})$/);
+  if (match) {
+    if (!isValidDate(match[1]) || !isValidDate(match[2]) || match[1] > match[2]) {
+      throw new Error(`无效的日期区间: ${value}`);
+    }
+    return { from: match[1], to: match[2], label: `${match[1]} ~ ${match[2]}` };
+  }
+  if (isValidDate(value)) return { from: value, to: value, label: value };
+  return rangeFromLabel(String(value));
+};
+
+const checkMetric = (metric) => {
+  if (!METRIC_KEYS.includes(metric)) {
+    throw new Error(`未知的指标: ${metric}（可选：${METRIC_KEYS.join(", ")}）`);
+  }
+  return metric;
+};
+
+const growthRate = (diff, base) => (diff === null || !base ? null : Math.round((diff / base) * 10000) / 100);
+
+// 已配置或已记录数据的仓库；resolve(name) 将 owner/name 或唯一的名称部分解析为完整名称
+const createRepoResolver = (data, repos) => {
+  const known = [...new Set([...repos, ...Object.keys(data).sort().flatMap(date => Object.keys(data[date]))])];
+  const resolve = (name) => {
+    if (known.includes(name)) return name;
+    const found = known.filter(repo => repo.split("/")[1] === name);
+    if (found.length === 1) return found[0];
+    throw new Error(`未找到仓库 ${name}，可用的仓库：${known.join(", ")}`);
+  };
+  return { known, resolve };
+};
+
+// 在一份数据快照上创建工具函数；repos 为已配置的仓库，用于解析简称与默认范围
+const createTools = (data, repos) => {
+  const dates = Object.keys(data).sort();
+  const latest = dates[dates.length - 1] || null;
+  const { known, resolve: resolveRepo } = createRepoResolver(data, repos);
+
+  const periodDiff = (repo, metric, range) => {
+    const result = aggregateRepo(data, repo, range);
+    return {
+      status: result.status,
+      start: result.baseline ? { date: result.baseline.date, value: result.baseline.stats[metric] } : null,
+      end: result.end ? { date: result.end.date, value: result.end.stats[metric] } : null,
+      diff: result.diff ? result.diff[metric] : null
+    };
+  };
+
+  return {
+    list_repos: () => ({
+      latest,
+      repos: known.map(repo => {
+        const recorded = dates.filter(date => data[date][repo]);
+        return {
+          repo,
+          configured: repos.includes(repo),
+          first: recorded[0] || null,
+          last: recorded[recorded.length - 1] || null,
+          snapshots: recorded.length
+        };
+      })
+    }),
+
+    get_metric_series: ({ repo, metric = "stars", from = null, to = null }) => {
+      const name = resolveRepo(repo);
+      checkMetric(metric);
+      const points = dates
+        .filter(date => (!from || date >= from) && (!to || date <= to) && data[date][name])
+        .map(date => ({ date, value: normalizeStats(data[date][name])[metric] }))
+        .filter(point => point.value !== null);
+      if (points.length === 0) {
+        return { repo: name, metric, points: [], note: "区间内没有该指标的数据" };
+      }
+      const values = points.map(point => point.value);
+      const first = points[0];
+      const last = points[points.length - 1];
+      return {
+        repo: name,
+        metric,
+        from: first.date,
+        to: last.date,
+        start: first.value,
+        end: last.value,
+        change: last.value - first.value,
+        max: Math.max(...values),
+        min: Math.min(...values),
+        // 点数过多时只返回最近的部分，统计值仍基于全部数据
+        points: points.slice(-MAX_SERIES_POINTS),
+        truncated: points.length > MAX_SERIES_POINTS
+      };
+    },
+
+    compare_periods: ({ repos: only = null, metric = "stars", period_a, period_b }) => {
+      checkMetric(metric);
+      const a = parsePeriod(period_a);
+      const b = parsePeriod(period_b);
+      const targets = only?.length ? only.map(resolveRepo) : repos;
+      return {
+        metric,
+        period_a: a,
+        period_b: b,
+        repos: targets.map(repo => {
+          const diffA = periodDiff(repo, metric, a);
+          const diffB = periodDiff(repo, metric, b);
+          const change = diffA.diff !== null && diffB.diff !== null ? diffB.diff - diffA.diff : null;
+          return {
+            repo,
+            period_a: diffA,
+            period_b: diffB,
+            // period_b 相对 period_a 的增量变化
+            change,
+            changeRate: change === null ? null : growthRate(change, Math.abs(diffA.diff))
+          };
+        })
+      };
+    },
+
+    rank_repos: ({ metric = "stars", by = "diff", period = null, limit = null }) => {
+      checkMetric(metric);
+      const range = period ? parsePeriod(period) : trailingRange(30, latest || undefined);
+      const scored = repos.map(repo => {
+        const result = periodDiff(repo, metric, range);
+        const value = by === "value"
+          ? result.end?.value ?? null
+          : by === "growth"
+            ? growthRate(result.diff, result.start?.value)
+            : result.diff;
+        return { repo, value, ...result };
+      });
+      const ranked = scored.filter(item => item.value !== null).sort((a, b) => b.value - a.value);
+      return {
+        metric,
+        by,
+        period: range,
+        ranking: ranked.slice(0, limit || ranked.length).map((item, index) => ({ rank: index + 1, ...item })),
+        unranked: scored.filter(item => item.value === null).map(item => ({ repo: item.repo, status: item.status }))
+      };
+    }
+  };
+};
+
+// ========== 分析循环 ==========
+
+const parseArguments = (raw) => {
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    throw new Error(`工具参数不是有效的 JSON: ${raw}`);
+  }
+};
+
+/**
+ * 创建分析器
+ * llm 为 createLlm 创建的调用入口，loadData 在每次提问时读取最新数据，repos() 返回默认的仓库；maxIterations 为 0 时不使用工具
+ * ask({ systemPrompt, userPrompt, repos, job }) 返回 { answer, toolCalls, iterations, exhausted, usage }，
+ * repos 可覆盖默认仓库，job 为用量日志中的任务名；大模型全部不可用时抛出 LlmUnavailableError
+ */
+const createAnalyst = ({ llm, loadData, repos, maxIterations = DEFAULT_MAX_ITERATIONS }) => {
+
+  const runTool = async (tools, call) => {
+    const startedAt = Date.now();
+    const record = { id: call.id, name: call.function.name, arguments: call.function.arguments };
+    let result;
+    try {
+      if (!tools[record.name]) throw new Error(`未知的工具: ${record.name}`);
+      record.arguments = parseArguments(call.function.arguments);
+      result = tools[record.name](record.arguments);
+      record.ok = true;
+    } catch (e) {
+      result = { error: e.message };
+      record.ok = false;
+      record.error = e.message;
+    }
+    record.durationMs = Date.now() - startedAt;
+    console.log(`🔧 ${record.name}(${JSON.stringify(record.arguments)}) ${record.ok ? "✅" : `❌ ${record.error}`}`);
+    return { record, content: JSON.stringify(result) };
+  };
+
+  const converse = async (messages, targets, tracker) => {
+    const complete = (toolChoice = null) => llm.chat({
+      messages,
+      tracker,
+      ...(toolChoice && { tools: TOOL_DEFINITIONS, toolChoice })
+    });
+    if (maxIterations <= 0) {
+      return { answer: (await complete()).content, toolCalls: [], iterations: 1, exhausted: false };
+    }
+
+    const tools = createTools(loadData(), targets);
+    const toolCalls = [];
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+      const message = await complete("auto");
+      messages.push(message);
+      if (!message.tool_calls?.length) {
+        return { answer: message.content, toolCalls, iterations: iteration, exhausted: false };
+      }
+      for (const call of message.tool_calls) {
+        const { record, content } = await runTool(tools, call);
+        toolCalls.push(record);
+        messages.push({ role: "tool", tool_call_id: call.id, content });
+      }
+    }
+
+    // 达到轮数上限：不再允许调用工具，要求模型基于已有结果作答
+    console.warn(`⚠️  工具调用已达到 ${maxIterations} 轮上限，要求模型直接作答`);
+    messages.push({ role: "user", content: "数据查询次数已达上限，请基于以上查询结果直接作答，不要再调用工具。" });
+    const message = await complete("none");
+    return { answer: message.content, toolCalls, iterations: maxIterations + 1, exhausted: true };
+  };
+
+  const ask = async ({ systemPrompt, userPrompt, repos: targets = repos(), job = "AI 分析" }) => {
+    const messages = [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: userPrompt }
+    ];
+    const tracker = llm.createTracker(job);
+    try {
+      const result = await converse(messages, targets, tracker);
+      return { ...result, usage: tracker.summary() };
+    } finally {
+      // 失败时同样记录已消耗的用量
+      tracker.log();
+    }
+  };
+
+  return { ask };
+};
+
+// 工具调用记录的文本形式，附在 MCP 工具结果中
+const formatToolCalls = (toolCalls) => (toolCalls.length === 0
+  ? "🔧 未调用数据查询工具"
+  : `🔧 数据查询（${toolCalls.length} 次）\n` + toolCalls
+    .map(call => `- ${call.name} ${JSON.stringify(call.arguments)}${call.ok ? "" : `（失败：${call.error}）`}，${call.durationMs}ms`)
+    .join("\n"));
+
+export {
+  DEFAULT_MAX_ITERATIONS,
+  TOOL_DEFINITIONS,
+  parsePeriod,
+  createRepoResolver,
+  createTools,
+  createAnalyst,
+  formatToolCalls
+};
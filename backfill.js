@@ -0,0 +1,129 @@
+/**
+ * 历史数据回填
+ *
+ * 以仓库当前数值为终点，按事件时间倒推每天结束时的数值：
+ * - stars：stargazers 接口的 starred_at（只包含当前仍在的 star，取消过的无法还原）
+ * - commits：默认分支提交的 committer 日期
+ * - issues：issue 的创建与关闭时间（不含 PR，重新打开的情况按最后状态计算）
+ *
+ * 只填充缺失的日期，已有真实快照的日期保持不变；回填的记录带有 backfilled: true 标记。
+ */
+import { pageFromLink, paginate } from "./github.js";
+import { addDays } from "./aggregate.js";
+
+// stargazers 接口最多只能翻到第 400 页（每页 100 条）
+const STARGAZERS_MAX_PAGE = 400;
+
+const toDate = (timestamp) => new Date(timestamp).toISOString().split("T")[0];
+
+// 由当前值与事件列表（每个事件对数值的贡献 delta）倒推 [from, to] 每天结束时的数值
+const rebuildDailySeries = (current, events, from, to) => {
+  const sorted = [...events].sort((a, b) => b.date.localeCompare(a.date));
+  const series = {};
+  let value = current;
+  let index = 0;
+
+  // 先扣除 to 之后发生的事件
+  while (index < sorted.length && sorted[index].date > to) {
+    value -= sorted[index].delta;
+    index++;
+  }
+
+  for (let date = to; date >= from; date = addDays(date, -1)) {
+    series[date] = value;
+    // 进入前一天之前，扣除当天发生的事件
+    while (index < sorted.length && sorted[index].date === date) {
+      value -= sorted[index].delta;
+      index++;
+    }
+  }
+  return series;
+};
+
+// 从最后一页往前读取 stargazers，直到早于 from；超过接口上限时返回 null
+const fetchStarEvents = async (client, repo, from) => {
+  const headers = { "Accept": "application/vnd.github.star+json" };
+  const path = `/repos/${repo}/stargazers?per_page=100`;
+  const first = await client.request(`${path}&page=1`, { repo, headers, cache: false });
+  const lastPage = pageFromLink(first.headers, "last") || 1;
+  if (lastPage >= STARGAZERS_MAX_PAGE) return null;
+
+  const events = [];
+  for (let page = lastPage; page >= 1; page--) {
+    const { data } = page === 1 ? first : await client.request(`${path}&page=${page}`, { repo, headers, cache: false });
+    const dates = data.map(star => toDate(star.starred_at));
+    events.push(...dates.map(date => ({ date, delta: 1 })));
+    if (dates.length > 0 && dates[0] < from) break;
+  }
+  return events;
+};
+
+// 从最新的提交往前读取，直到早于 from
+const fetchCommitEvents = async (client, repo, from) => {
+  const commits = await paginate(client, `/repos/${repo}/commits?since=${from}T00:00:00Z`, { repo });
+  return commits.map(commit => ({ date: toDate(commit.commit.committer.date), delta: 1 }));
+};
+
+// 读取 from 之后有更新的 issue，创建记 +1，关闭记 -1
+const fetchIssueEvents = async (client, repo, from) => {
+  const issues = await paginate(client, `/repos/${repo}/issues?state=all&since=${from}T00:00:00Z`, { repo });
+  const events = [];
+  for (const issue of issues) {
+    if (issue.pull_request) continue;
+    events.push({ date: toDate(issue.created_at), delta: 1 });
+    if (issue.closed_at) events.push({ date: toDate(issue.closed_at), delta: -1 });
+  }
+  return events;
+};
+
+// 回填单个仓库，返回 { days: { 日期: 指标 }, skipped: [无法回填的指标] }
+const backfillRepo = async (client, repo, { from = null, to } = {}) => {
+  const { data: repoData } = await client.request(`/repos/${repo}`, { repo });
+  const start = from && from > toDate(repoData.created_at) ? from : toDate(repoData.created_at);
+  if (start > to) return { days: {}, skipped: [] };
+
+  const commitsRes = await client.request(`/repos/${repo}/commits?per_page=1`, { repo });
+  const currentCommits = pageFromLink(commitsRes.headers, "last") || commitsRes.data.length;
+  const { data: issuesData } = await client.request(`/search/issues?q=repo:${repo}+type:issue+state:open`, { repo });
+
+  const series = {};
+  const skipped = [];
+
+  const starEvents = await fetchStarEvents(client, repo, start);
+  if (starEvents) {
+    series.stars = rebuildDailySeries(repoData.stargazers_count, starEvents, start, to);
+  } else {
+    console.warn(`⚠️  ${repo} 的 star 数超过 stargazers 接口上限，跳过 stars 回填`);
+    skipped.push("stars");
+  }
+  series.commits = rebuildDailySeries(currentCommits, await fetchCommitEvents(client, repo, start), start, to);
+  series.issues = rebuildDailySeries(issuesData.total_count, await fetchIssueEvents(client, repo, start), start, to);
+
+  const days = {};
+  for (let date = start; date <= to; date = addDays(date, 1)) {
+    days[date] = {};
+    for (const [metric, values] of Object.entries(series)) {
+      days[date][metric] = values[date];
+    }
+    days[date].backfilled = true;
+  }
+  return { days, skipped };
+};
+
+// 将回填结果合并进历史，只填充该仓库缺失的日期，返回填充的天数
+const mergeBackfill = (data, repo, days) => {
+  let filled = 0;
+  for (const [date, stats] of Object.entries(days)) {
+    if (data[date]?.[repo]) continue;
+    data[date] = data[date] || {};
+    data[date][repo] = stats;
+    filled++;
+  }
+  return filled;
+};
+
+export {
+  rebuildDailySeries,
+  backfillRepo,
+  mergeBackfill
+};
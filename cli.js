@@ -0,0 +1,301 @@
+/**
+ * 命令行解析
+ *
+ * 用法：star-report <命令> [参数] [选项]
+ */
+import { parseArgs } from "util";
+import { REPO_PATTERN } from "./watchlist.js";
+
+// 退出码
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1, // 运行出错
+  USAGE: 2, // 命令或参数错误
+  PARTIAL: 3, // 部分仓库采集/回填失败
+  DATA_CORRUPTED: 4, // 数据完整性检查失败
+  NOTIFY_FAILED: 5 // 报告已生成，但有通知渠道推送失败
+};
+
+class UsageError extends Error {
+  constructor(message, command = null) {
+    super(message);
+    this.name = "UsageError";
+    this.command = command;
+  }
+}
+
+// 所有命令共享的选项
+const GLOBAL_OPTIONS = {
+  "data-file": { type: "string", description: "数据文件路径（覆盖 DATA_FILE）" },
+  "storage": { type: "string", description: "存储后端：json、jsonl 或 sqlite（覆盖 STORAGE）" },
+  "help": { type: "boolean", short: "h", description: "显示帮助" }
+};
+
+const REPOS_OPTION = { type: "string", description: "只处理指定仓库，逗号分隔（覆盖监控列表）" };
+const GROUP_OPTION = { type: "string", description: "只处理监控列表中指定分组的仓库，逗号分隔" };
+const FORMAT_OPTION = { type: "string", description: "输出格式：text（默认）、markdown 或 json" };
+const NO_PUSH_OPTION = { type: "boolean", description: "不推送到通知渠道" };
+const PUSH_OPTION = { type: "boolean", description: "推送到通知渠道（默认按 DAILY_PUSH，不推送）" };
+const DRY_RUN_OPTION = { type: "boolean", description: "只采集和输出，不写入数据" };
+
+const COMMANDS = {
+  daily: {
+    description: "采集今日数据并生成日报",
+    usage: "daily [--repos a/b,c/d | --group rag] [--date YYYY-MM-DD] [--dry-run] [--push | --no-push]",
+    options: {
+      "repos": REPOS_OPTION,
+      "group": GROUP_OPTION,
+      "date": { type: "string", description: "快照记录的日期，默认今天（UTC）" },
+      "dry-run": DRY_RUN_OPTION,
+      "push": PUSH_OPTION,
+      "no-push": NO_PUSH_OPTION,
+      "format": FORMAT_OPTION
+    }
+  },
+  weekly: {
+    description: "生成周报并推送，默认最近 7 天",
+    usage: "weekly [2025-W23 | 2025-06-01 2025-06-07] [--no-push]",
+    options: {
+      "repos": REPOS_OPTION,
+      "group": GROUP_OPTION,
+      "no-push": NO_PUSH_OPTION,
+      "format": FORMAT_OPTION
+    }
+  },
+  monthly: {
+    description: "生成月报并推送，默认上一个完整的自然月",
+    usage: "monthly [2025-06] [--no-push]",
+    options: {
+      "repos": REPOS_OPTION,
+      "group": GROUP_OPTION,
+      "no-push": NO_PUSH_OPTION,
+      "format": FORMAT_OPTION
+    }
+  },
+  quarterly: {
+    description: "生成季报并推送，默认上一个完整的季度",
+    usage: "quarterly [2025-Q2] [--no-push]",
+    options: {
+      "repos": REPOS_OPTION,
+      "group": GROUP_OPTION,
+      "no-push": NO_PUSH_OPTION,
+      "format": FORMAT_OPTION
+    }
+  },
+  report: {
+    description: "生成自定义区间报告并推送",
+    usage: "report --from 2025-06-01 --to 2025-08-31 [--no-push]",
+    options: {
+      "from": { type: "string", description: "开始日期 YYYY-MM-DD" },
+      "to": { type: "string", description: "结束日期 YYYY-MM-DD" },
+      "repos": REPOS_OPTION,
+      "group": GROUP_OPTION,
+      "no-push": NO_PUSH_OPTION,
+      "format": FORMAT_OPTION
+    }
+  },
+  analysis: {
+    description: "生成周报并进行 AI 智能分析",
+    usage: "analysis [2025-W23 | 2025-06-01 2025-06-07] [--no-push]",
+    options: {
+      "repos": REPOS_OPTION,
+      "group": GROUP_OPTION,
+      "no-push": NO_PUSH_OPTION,
+      "format": FORMAT_OPTION
+    }
+  },
+  backfill: {
+    description: "根据 GitHub 历史事件回填缺失日期的数据",
+    usage: "backfill [--from YYYY-MM-DD] [--repos a/b | --group rag] [--dry-run]",
+    options: {
+      "from": { type: "string", description: "回填开始日期，默认仓库创建日" },
+      "repos": REPOS_OPTION,
+      "group": GROUP_OPTION,
+      "dry-run": DRY_RUN_OPTION,
+      "format": FORMAT_OPTION
+    }
+  },
+  watch: {
+    description: "查看或修改监控列表（仓库、发现规则与分组标签），移出的仓库保留历史数据",
+    usage: "watch list [--group rag] | add|remove <仓库 | 发现规则...> [--tags rag,agents] | tag|untag <仓库...> --tags rag | discover\n" +
+      "       发现规则：org:名称、user:名称、\"topic:llm org:名称\"，可配合 --include、--exclude、--min-stars、--forks、--archived",
+    options: {
+      "tags": { type: "string", description: "分组标签，逗号分隔" },
+      "group": { type: "string", description: "list 时只列出该分组的仓库" },
+      "include": { type: "string", description: "发现规则只包含匹配的仓库名，逗号分隔，支持 * ?" },
+      "exclude": { type: "string", description: "发现规则排除匹配的仓库名，逗号分隔，支持 * ?" },
+      "min-stars": { type: "string", description: "发现规则只包含 Stars 不少于该值的仓库" },
+      "forks": { type: "boolean", description: "发现规则包含 fork 的仓库" },
+      "archived": { type: "boolean", description: "发现规则包含已归档的仓库" },
+      "format": FORMAT_OPTION
+    }
+  },
+  migrate: {
+    description: "在存储后端之间迁移历史数据",
+    usage: "migrate <源存储> <目标存储>，例如 migrate json:data.json sqlite:data.db",
+    options: {}
+  },
+  scheduler: {
+    description: "常驻运行，按 SCHEDULE_* 配置定时执行日报、周报、月报与智能分析",
+    usage: "scheduler [--repos a/b,c/d | --group rag]",
+    options: {
+      "repos": REPOS_OPTION,
+      "group": GROUP_OPTION
+    }
+  },
+  "health-check": {
+    description: "检查配置、数据完整性与 GitHub 访问",
+    usage: "health-check",
+    options: {}
+  },
+  "mcp-server": {
+    description: "通过 stdio 启动 MCP Server",
+    usage: "mcp-server",
+    options: {}
+  },
+  "sse-server": {
+    description: "启动 HTTP 服务（远程 MCP、SSE 分析、Webhook、报告接口）",
+    usage: "sse-server [--port 3001]",
+    options: {
+      "port": { type: "string", description: "监听端口，默认 PORT 或 3001" }
+    }
+  },
+  help: {
+    description: "显示帮助",
+    usage: "help [命令]",
+    options: {}
+  }
+};
+
+// 兼容 package.json 中的旧命令名
+const COMMAND_ALIASES = {
+  "daily-report": "daily",
+  "weekly-report": "weekly"
+};
+
+const FORMATS = ["text", "markdown", "json"];
+
+const formatOptions = (options) => Object.entries(options)
+  .map(([name, option]) => {
+    const flag = option.type === "string" ? `--${name} <值>` : `--${name}`;
+    return `  ${(option.short ? `-${option.short}, ` : "    ") + flag.padEnd(22)}${option.description}`;
+  })
+  .join("\n");
+
+const formatHelp = (command = null) => {
+  if (command && COMMANDS[command]) {
+    const definition = COMMANDS[command];
+    let text = `用法：star-report ${definition.usage}\n\n${definition.description}\n`;
+    if (Object.keys(definition.options).length > 0) {
+      text += `\n选项：\n${formatOptions(definition.options)}\n`;
+    }
+    return text + `\n通用选项：\n${formatOptions(GLOBAL_OPTIONS)}\n`;
+  }
+
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length)) + 2;
+  return "用法：star-report <命令> [参数] [选项]\n\n命令：\n" +
+    Object.entries(COMMANDS).map(([name, definition]) => `  ${name.padEnd(width)}${definition.description}`).join("\n") +
+    `\n\n通用选项：\n${formatOptions(GLOBAL_OPTIONS)}\n\n` +
+    "不指定命令时执行 daily。使用 star-report <命令> --help 查看命令的详细选项。\n\n" +
+    "退出码：0 成功，1 运行出错，2 命令或参数错误，3 部分仓库失败，4 数据完整性检查失败，5 推送失败\n";
+};
+
+// 逗号分隔的列表
+const parseList = (value) => value.split(",").map(item => item.trim()).filter(Boolean);
+
+// 解析 --repos，校验 owner/name 格式
+const parseRepos = (value, command) => {
+  const repos = parseList(value);
+  const invalid = repos.filter(repo => !REPO_PATTERN.test(repo));
+  if (repos.length === 0 || invalid.length > 0) {
+    throw new UsageError(`无效的仓库：${invalid.join(", ") || value}（格式为 owner/name）`, command);
+  }
+  return repos;
+};
+
+const parseMinStars = (value, command) => {
+  if (!/^\d+$/.test(value)) throw new UsageError(`无效的 --min-stars：${value}（应为非负整数）`, command);
+  return parseInt(value);
+};
+
+// 解析命令行参数，返回 { command, positionals, options }；参数错误时抛出 UsageError
+const parseCli = (argv) => {
+  const first = argv[0];
+  const hasCommand = first && !first.startsWith("-");
+  const name = hasCommand ? (COMMAND_ALIASES[first] || first) : "daily";
+  const definition = COMMANDS[name];
+  if (!definition) {
+    throw new UsageError(`未知的命令：${first}`);
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: hasCommand ? argv.slice(1) : argv,
+      options: { ...GLOBAL_OPTIONS, ...definition.options },
+      allowPositionals: true,
+      strict: true
+    });
+  } catch (e) {
+    throw new UsageError(e.message, name);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.format && !FORMATS.includes(values.format)) {
+    throw new UsageError(`无效的输出格式：${values.format}（可选：${FORMATS.join(", ")}）`, name);
+  }
+
+  return {
+    command: values.help && name !== "help" ? "help" : name,
+    helpFor: values.help ? (hasCommand ? name : null) : positionals[0] || null,
+    positionals,
+    options: {
+      dataFile: values["data-file"] || null,
+      storage: values.storage || null,
+      repos: values.repos ? parseRepos(values.repos, name) : null,
+      group: values.group ? parseList(values.group) : null,
+      tags: values.tags ? parseList(values.tags) : [],
+      // 发现规则的筛选条件，未指定时为 null
+      include: values.include ? parseList(values.include) : null,
+      exclude: values.exclude ? parseList(values.exclude) : null,
+      minStars: values["min-stars"] !== undefined ? parseMinStars(values["min-stars"], name) : null,
+      forks: values.forks || null,
+      archived: values.archived || null,
+      date: values.date || null,
+      from: values.from || null,
+      to: values.to || null,
+      port: values.port || null,
+      dryRun: Boolean(values["dry-run"]),
+      // true / false 为显式指定，null 时由各命令决定默认值
+      push: values.push ? true : values["no-push"] ? false : null,
+      format: values.format || "text"
+    }
+  };
+};
+
+// 将报告文本转换为 Markdown：标题行、仓库行与指标列表
+const toMarkdown = (text) => text
+  .split("\n")
+  .map(line => {
+    if (!line.trim()) return line;
+    if (line.startsWith("【")) return `## ${line.replace(/[【】]/g, "")}`;
+    if (line.startsWith("🔗 ") || line.startsWith("📊 ")) return `### ${line}`;
+    return `- ${line}`;
+  })
+  .join("\n");
+
+// 按 --format 输出任务结果
+const formatOutput = ({ text, report }, format) => {
+  if (format === "json") return JSON.stringify(report ?? { text }, null, 2);
+  if (format === "markdown") return toMarkdown(text);
+  return text;
+};
+
+export {
+  EXIT_CODES,
+  UsageError,
+  COMMANDS,
+  parseCli,
+  formatHelp,
+  formatOutput
+};
@@ -0,0 +1,175 @@
+/**
+ * 仓库自动发现
+ *
+ * 监控列表中除了 owner/name，还可以写发现规则，每次执行日报时解析为具体的仓库：
+ * - org:datawhalechina：组织下的公开仓库
+ * - user:someone：用户名下的公开仓库
+ * - topic:llm org:datawhalechina：带有某个 topic 的仓库，可以再限定组织或用户（通过 Search API，最多 1000 个）
+ *
+ * 筛选条件：include / exclude 为仓库名的通配符（* 与 ?，包含 / 时匹配 owner/name），默认不包含已归档的仓库
+ * 与 fork，minStars 为最低 Stars 数。
+ */
+import { paginate } from "./github.js";
+import { defaultT } from "./templates.js";
+
+const QUALIFIERS = ["org", "user", "topic"];
+const QUALIFIER_PATTERN = /^(\w+):(\S+)$/;
+const NAME_PATTERN = /^[\w.-]+$/;
+// Search API 最多返回 1000 个结果
+const SEARCH_MAX_PAGES = 10;
+
+const DEFAULT_FILTERS = {
+  include: [],
+  exclude: [],
+  archived: false,
+  forks: false,
+  minStars: 0
+};
+
+class DiscoveryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DiscoveryError";
+  }
+}
+
+// ========== 规则 ==========
+
+// 是否为发现规则（包含 org: / user: / topic: 限定符）
+const isDiscoveryTarget = (value) => String(value).trim().split(/\s+/).some(token => QUALIFIER_PATTERN.test(token));
+
+/**
+ * 解析发现规则，返回 { spec, owner: { type, name } | null, topics }
+ * spec 为规范化后的写法（组织或用户在前，topic 按字母排序），用作规则的标识
+ */
+const parseTarget = (value) => {
+  const tokens = String(value).trim().split(/\s+/).filter(Boolean);
+  const owners = [];
+  const topics = [];
+  for (const token of tokens) {
+    const match = token.match(QUALIFIER_PATTERN);
+    if (!match || !QUALIFIERS.includes(match[1])) {
+      throw new DiscoveryError(`无效的发现规则：${value}（可用 ${QUALIFIERS.map(name => `${name}:`).join("、")}，如 org:datawhalechina）`);
+    }
+    const [, qualifier, name] = match;
+    if (!NAME_PATTERN.test(name)) throw new DiscoveryError(`无效的名称：${token}`);
+    if (qualifier === "topic") topics.push(name.toLowerCase());
+    else owners.push({ type: qualifier, name });
+  }
+  if (owners.length > 1) {
+    throw new DiscoveryError(`发现规则只能指定一个组织或用户：${value}`);
+  }
+  const owner = owners[0] || null;
+  const sortedTopics = [...new Set(topics)].sort();
+  return {
+    spec: [...(owner ? [`${owner.type}:${owner.name}`] : []), ...sortedTopics.map(topic => `topic:${topic}`)].join(" "),
+    owner,
+    topics: sortedTopics
+  };
+};
+
+// 通配符转换为正则，不区分大小写
+const patternRegExp = (pattern) => new RegExp(
+  "^" + pattern.split("").map(char => (char === "*" ? ".*" : char === "?" ? "." : char.replace(/[.+^${}()|[\]\\]/g, "\\$&"))).join("") + "$",
+  "i"
+);
+
+const matchesPattern = (pattern, repo) => patternRegExp(pattern).test(pattern.includes("/") ? repo : repo.split("/")[1]);
+
+/**
+ * 校验并补齐筛选条件
+ * 返回 { include, exclude, archived, forks, minStars }，参数无效时抛出 DiscoveryError
+ */
+const normalizeFilters = (filters = {}) => {
+  const list = (value) => [].concat(value ?? []).map(item => String(item).trim()).filter(Boolean);
+  const result = {
+    include: list(filters.include),
+    exclude: list(filters.exclude),
+    archived: Boolean(filters.archived ?? DEFAULT_FILTERS.archived),
+    forks: Boolean(filters.forks ?? DEFAULT_FILTERS.forks),
+    minStars: Number(filters.minStars ?? DEFAULT_FILTERS.minStars)
+  };
+  const invalid = [...result.include, ...result.exclude].filter(pattern => !/^[\w.*?/-]+$/.test(pattern));
+  if (invalid.length > 0) {
+    throw new DiscoveryError(`无效的匹配模式：${invalid.join(", ")}（只能包含仓库名字符与 * ?）`);
+  }
+  if (!Number.isInteger(result.minStars) || result.minStars < 0) {
+    throw new DiscoveryError(`minStars 必须是非负整数：${filters.minStars}`);
+  }
+  return result;
+};
+
+// 筛选条件的简短说明，默认值不列出；文案见 messages.json 的 watch.filter.*
+const describeFilters = (filters, t = defaultT) => [
+  filters.include.length > 0 && t("watch.filter.include", { patterns: filters.include.join(", ") }),
+  filters.exclude.length > 0 && t("watch.filter.exclude", { patterns: filters.exclude.join(", ") }),
+  filters.minStars > 0 && t("watch.filter.minStars", { count: filters.minStars }),
+  filters.forks && t("watch.filter.forks"),
+  filters.archived && t("watch.filter.archived")
+].filter(Boolean).join(t("watch.separator"));
+
+const matchesFilters = (item, filters) => {
+  if (item.archived && !filters.archived) return false;
+  if (item.fork && !filters.forks) return false;
+  if (item.stars < filters.minStars) return false;
+  if (filters.include.length > 0 && !filters.include.some(pattern => matchesPattern(pattern, item.repo))) return false;
+  return !filters.exclude.some(pattern => matchesPattern(pattern, item.repo));
+};
+
+// ========== 解析 ==========
+
+const fromApiRepo = (repo) => ({
+  repo: repo.full_name,
+  stars: repo.stargazers_count ?? 0,
+  archived: Boolean(repo.archived),
+  fork: Boolean(repo.fork)
+});
+
+// 组织或用户名下的公开仓库
+const listOwnerRepos = async (client, { type, name }) => {
+  const path = type === "org" ? `/orgs/${name}/repos?type=public` : `/users/${name}/repos?type=owner`;
+  return (await paginate(client, path)).map(fromApiRepo);
+};
+
+// 带有 topic 的仓库；筛选条件尽量放在查询中，减少返回的结果
+const searchTopicRepos = async (client, { owner, topics }, filters) => {
+  const query = [
+    ...topics.map(topic => `topic:${topic}`),
+    ...(owner ? [`${owner.type}:${owner.name}`] : []),
+    ...(filters.forks ? ["fork:true"] : []),
+    ...(filters.archived ? [] : ["archived:false"]),
+    ...(filters.minStars > 0 ? [`stars:>=${filters.minStars}`] : [])
+  ].join(" ");
+  const items = [];
+  for (let page = 1; page <= SEARCH_MAX_PAGES; page++) {
+    const { data } = await client.request(
+      `/search/repositories?q=${encodeURIComponent(query)}&per_page=100&page=${page}`,
+      { cache: false }
+    );
+    const pageItems = data?.items || [];
+    items.push(...pageItems);
+    if (pageItems.length < 100 || items.length >= (data?.total_count ?? 0)) break;
+  }
+  return items.map(fromApiRepo);
+};
+
+/**
+ * 将发现规则解析为具体的仓库（按名称排序）
+ * client 为 createGitHubClient 创建的客户端，请求失败时抛出 GitHubError
+ */
+const discoverRepos = async (client, target, filters = DEFAULT_FILTERS) => {
+  const { owner, topics } = typeof target === "string" ? parseTarget(target) : target;
+  const items = topics.length > 0
+    ? await searchTopicRepos(client, { owner, topics }, filters)
+    : await listOwnerRepos(client, owner);
+  return [...new Set(items.filter(item => matchesFilters(item, filters)).map(item => item.repo))].sort();
+};
+
+export {
+  DiscoveryError,
+  isDiscoveryTarget,
+  parseTarget,
+  normalizeFilters,
+  describeFilters,
+  discoverRepos
+};
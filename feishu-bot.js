@@ -0,0 +1,259 @@
+/**
+ * 飞书机器人事件订阅
+ *
+ * 处理飞书开放平台推送的事件：
+ * - url_verification：返回 challenge
+ * - 配置了 Encrypt Key 时只接受加密事件，校验 X-Lark-Signature 并解密 encrypt 字段
+ * - 校验 Verification Token，按 event_id 去重（飞书在超时或失败时会重试推送）
+ * - Verification Token 与 Encrypt Key 都没有配置时拒绝所有事件
+ * - im.message.receive_v1：解析消息中的命令，通过开放平台接口回复到原消息（或话题）
+ *
+ * 飞书要求 3 秒内响应，事件先返回 200，命令在后台执行后再回复。
+ */
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { feishuCards } from "./notifiers.js";
+import { defaultT } from "./templates.js";
+
+const DEFAULT_BASE_URL = "https://open.feishu.cn";
+// 去重记录保留 6 小时（飞书的重试窗口内）
+const DEDUPE_TTL_MS = 6 * 60 * 60 * 1000;
+
+class FeishuApiError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = "FeishuApiError";
+    this.code = code;
+  }
+}
+
+// ========== 事件解析 ==========
+
+// Encrypt Key 的 SHA-256 为 AES-256-CBC 密钥，密文前 16 字节为 IV
+const decryptEvent = (encrypt, encryptKey) => {
+  const key = crypto.createHash("sha256").update(encryptKey).digest();
+  const buffer = Buffer.from(encrypt, "base64");
+  const decipher = crypto.createDecipheriv("aes-256-cbc", key, buffer.subarray(0, 16));
+  const decrypted = Buffer.concat([decipher.update(buffer.subarray(16)), decipher.final()]);
+  return JSON.parse(decrypted.toString("utf-8"));
+};
+
+// X-Lark-Signature = sha256(timestamp + nonce + encryptKey + 原始请求体)
+const verifySignature = (headers, rawBody, encryptKey) => {
+  const timestamp = headers["x-lark-request-timestamp"];
+  const nonce = headers["x-lark-request-nonce"];
+  const signature = headers["x-lark-signature"];
+  if (!timestamp || !nonce || !signature) return false;
+  const expected = crypto.createHash("sha256")
+    .update(timestamp + nonce + encryptKey)
+    .update(rawBody)
+    .digest("hex");
+  return expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+};
+
+// 从 text / post 消息中取出纯文本，去掉 @机器人 的占位符
+const extractText = (message) => {
+  let content;
+  try {
+    content = JSON.parse(message.content);
+  } catch {
+    return "";
+  }
+
+  let text = "";
+  if (message.message_type === "text") {
+    text = content.text || "";
+  } else if (message.message_type === "post") {
+    // 富文本：{ title, content: [[{ tag: "text", text }, ...], ...] }，也可能按语言嵌套一层
+    const post = content.content ? content : Object.values(content)[0] || {};
+    text = (post.content || [])
+      .map(line => line.filter(node => node.tag === "text" || node.tag === "a").map(node => node.text).join(""))
+      .join("\n");
+  }
+  return text.replace(/@_user_\d+/g, "").trim();
+};
+
+// 解析命令：/weekly repo → { command: "weekly", args: ["repo"], text: "repo" }；不以 / 开头时视为提问
+const parseCommand = (text) => {
+  const match = text.match(/^\/(\S+)\s*([\s\S]*)$/);
+  if (!match) return { command: "ask", args: text ? [text] : [], text };
+  const rest = match[2].trim();
+  return { command: match[1].toLowerCase(), args: rest ? rest.split(/\s+/) : [], text: rest };
+};
+
+// ========== 机器人 ==========
+
+/**
+ * 创建飞书机器人
+ * commands: { 命令名: { usage, description, run: async ({ args, text, event }) => ({ text, model? }) } }
+ * t 为帮助、回复与报告卡片使用的文案（见 templates.js），缺省为内置中文
+ * 返回 { handleEvent, reply }，handleEvent 为 Express 路由处理函数（需要 req.rawBody）
+ */
+const createFeishuBot = ({
+  appId,
+  appSecret,
+  verificationToken = null,
+  encryptKey = null,
+  baseUrl = DEFAULT_BASE_URL,
+  commands,
+  t = defaultT
+}) => {
+  const seenEvents = new Map();
+  let tenantToken = null;
+  let pendingToken = null;
+
+  // 记录已处理的事件，返回是否为重复推送
+  const isDuplicate = (eventId) => {
+    const now = Date.now();
+    for (const [id, time] of seenEvents) {
+      if (now - time < DEDUPE_TTL_MS) break;
+      seenEvents.delete(id);
+    }
+    if (seenEvents.has(eventId)) return true;
+    seenEvents.set(eventId, now);
+    return false;
+  };
+
+  const callApi = async (path, { method = "POST", body, token = true } = {}) => {
+    const headers = { "Content-Type": "application/json; charset=utf-8" };
+    if (token) headers.Authorization = `Bearer ${await getTenantToken()}`;
+    const res = await fetch(`${baseUrl}${path}`, { method, headers, body: JSON.stringify(body) });
+    const result = await res.json().catch(() => null);
+    if (!result || result.code !== 0) {
+      throw new FeishuApiError(`飞书接口 ${path} 调用失败: ${result?.msg ?? `HTTP ${res.status}`}`, result?.code ?? null);
+    }
+    return result;
+  };
+
+  const fetchTenantToken = async () => {
+    const result = await callApi("/open-apis/auth/v3/tenant_access_token/internal", {
+      body: { app_id: appId, app_secret: appSecret },
+      token: false
+    });
+    tenantToken = {
+      value: result.tenant_access_token,
+      expiresAt: Date.now() + (result.expire - 300) * 1000
+    };
+    return tenantToken.value;
+  };
+
+  // tenant_access_token 有效期 2 小时，提前 5 分钟刷新；并发的回复共用同一次请求
+  const getTenantToken = async () => {
+    if (tenantToken && tenantToken.expiresAt > Date.now()) return tenantToken.value;
+    if (!appId || !appSecret) {
+      throw new FeishuApiError("回复消息需要配置 FEISHU_APP_ID 与 FEISHU_APP_SECRET");
+    }
+    pendingToken = pendingToken || fetchTenantToken().finally(() => {
+      pendingToken = null;
+    });
+    return pendingToken;
+  };
+
+  // 回复到原消息；原消息在话题中时回复到话题
+  const reply = async (message, { text, model = null }) => {
+    for (const card of feishuCards({ text, model, t })) {
+      await callApi(`/open-apis/im/v1/messages/${message.message_id}/reply`, {
+        body: {
+          msg_type: "interactive",
+          content: JSON.stringify(card),
+          reply_in_thread: Boolean(message.thread_id)
+        }
+      });
+    }
+  };
+
+  const helpText = () => `【${t("feishu.help.title")}】\n` + Object.entries(commands)
+    .map(([name, command]) => t("feishu.help.line", { usage: command.usage || name, description: command.description }))
+    .join("\n") + "\n" + t("feishu.help.footer");
+
+  const handleMessage = async (event) => {
+    const { message, sender } = event;
+    // 忽略机器人自己（及其他应用）发出的消息，避免循环回复
+    if (sender?.sender_type === "app") return;
+
+    const text = extractText(message);
+    const { command, args, text: argText } = parseCommand(text);
+    console.log(`🔔 飞书消息：${text || "(空)"}`);
+
+    let result;
+    try {
+      if (command === "help") {
+        result = { text: helpText() };
+      } else if (!commands[command]) {
+        result = { text: `❓ ${t("feishu.unknown", { command })}\n\n${helpText()}` };
+      } else {
+        result = await commands[command].run({ args, text: argText, event });
+      }
+    } catch (e) {
+      console.error(`❌ 飞书命令 /${command} 执行失败:`, e.message);
+      result = { text: `❌ ${t("feishu.failed", { command, message: e.message })}` };
+    }
+
+    try {
+      await reply(message, result);
+    } catch (e) {
+      console.error("❌ 飞书回复失败:", e.message);
+    }
+  };
+
+  const handleEvent = (req, res) => {
+    // 没有任何校验方式时无法确认请求来自飞书，不处理事件
+    if (!encryptKey && !verificationToken) {
+      return res.status(503).json({ error: "未配置 FEISHU_VERIFICATION_TOKEN 或 FEISHU_ENCRYPT_KEY，不处理飞书事件" });
+    }
+
+    let body = req.body || {};
+    if (encryptKey) {
+      // 配置了 Encrypt Key 时只接受加密事件
+      if (!body.encrypt) {
+        return res.status(400).json({ error: "已配置 FEISHU_ENCRYPT_KEY，只接受加密事件" });
+      }
+      const signed = Boolean(req.headers["x-lark-signature"]);
+      if (signed && !verifySignature(req.headers, req.rawBody || "", encryptKey)) {
+        return res.status(401).json({ error: "invalid signature" });
+      }
+      try {
+        body = decryptEvent(body.encrypt, encryptKey);
+      } catch (e) {
+        return res.status(400).json({ error: `解密失败: ${e.message}` });
+      }
+      // 飞书的网址验证请求不带签名，其余事件必须带有效签名
+      if (!signed && body.type !== "url_verification") {
+        return res.status(401).json({ error: "missing signature" });
+      }
+    } else if (body.encrypt) {
+      return res.status(400).json({ error: "收到加密事件，但未配置 FEISHU_ENCRYPT_KEY" });
+    }
+
+    // 2.0 事件的 token 在 header 中，url_verification 与 1.0 事件在顶层
+    const token = body.header?.token ?? body.token;
+    if (verificationToken && token !== verificationToken) {
+      return res.status(401).json({ error: "invalid verification token" });
+    }
+
+    if (body.type === "url_verification") {
+      return res.json({ challenge: body.challenge });
+    }
+
+    const eventId = body.header?.event_id ?? body.uuid;
+    const eventType = body.header?.event_type ?? body.event?.type;
+    res.json({});
+
+    if (!eventId || isDuplicate(eventId)) return;
+    if (eventType === "im.message.receive_v1" && body.event?.message) {
+      handleMessage(body.event);
+    }
+  };
+
+  return { handleEvent, reply };
+};
+
+export {
+  FeishuApiError,
+  decryptEvent,
+  verifySignature,
+  extractText,
+  parseCommand,
+  createFeishuBot
+};
@@ -0,0 +1,205 @@
+/**
+ * 增长趋势预测
+ *
+ * 按仓库与指标拟合最近 window 天的历史快照，给出两种趋势的预测：
+ * - linear：最小二乘直线，置信区间按回归预测区间计算
+ * - ema：每日增量的指数移动平均（近期权重更高），置信区间按每日增量的波动随天数累积
+ * 置信区间均为约 95%（±1.96 个标准误差）。
+ * 里程碑（如 1k Stars）按 EMA 趋势估算到达日期，趋势不增长或两年内无法达到时不给出日期。
+ */
+import { METRIC_KEYS, normalizeStats } from "./metrics.js";
+import { addDays, daysBetween } from "./aggregate.js";
+import { defaultT } from "./templates.js";
+
+const DEFAULT_HORIZONS = [7, 30, 90];
+const DEFAULT_WINDOW = 90;
+// EMA 跨度（天），alpha = 2 / (span + 1)
+const EMA_SPAN = 14;
+const MIN_SAMPLES = 7;
+const Z_95 = 1.96;
+// 里程碑超过两年才能达到时不给出日期，长期外推没有意义
+const MAX_MILESTONE_DAYS = 730;
+
+// ========== 拟合 ==========
+
+// 区间内该指标有数值的快照，x 为距第一天的天数
+const metricSeries = (data, repo, metric, { from, to }) => Object.keys(data)
+  .sort()
+  .filter(date => date >= from && date <= to && data[date][repo])
+  .map(date => ({ date, value: normalizeStats(data[date][repo])[metric] }))
+  .filter(point => typeof point.value === "number");
+
+const fitLinear = (points) => {
+  const n = points.length;
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / n;
+  const meanY = points.reduce((sum, point) => sum + point.value, 0) / n;
+  const sxx = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+  const sxy = points.reduce((sum, point) => sum + (point.x - meanX) * (point.value - meanY), 0);
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  const intercept = meanY - slope * meanX;
+  const sse = points.reduce((sum, point) => sum + (point.value - (intercept + slope * point.x)) ** 2, 0);
+  const sst = points.reduce((sum, point) => sum + (point.value - meanY) ** 2, 0);
+  return {
+    slope,
+    intercept,
+    // 残差标准差，n - 2 为自由度
+    sigma: n > 2 ? Math.sqrt(sse / (n - 2)) : 0,
+    r2: sst > 0 ? 1 - sse / sst : 1,
+    n,
+    meanX,
+    sxx
+  };
+};
+
+// 相邻快照之间的日均增量（跨越空缺时按天数平摊）
+const dailyRates = (points) => points.slice(1).map((point, index) =>
+  (point.value - points[index].value) / (point.x - points[index].x));
+
+const fitEma = (rates) => {
+  const alpha = 2 / (EMA_SPAN + 1);
+  const rate = rates.reduce((ema, value) => alpha * value + (1 - alpha) * ema, rates[0]);
+  const mean = rates.reduce((sum, value) => sum + value, 0) / rates.length;
+  const sigma = Math.sqrt(rates.reduce((sum, value) => sum + (value - mean) ** 2, 0) / rates.length);
+  return { rate, sigma };
+};
+
+// ========== 预测 ==========
+
+const round = (value, digits = 0) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+// 计数类指标不会小于 0
+const band = (value, margin) => ({
+  value: Math.max(0, Math.round(value)),
+  low: Math.max(0, Math.round(value - margin)),
+  high: Math.max(0, Math.round(value + margin))
+});
+
+// 大于 value 的下一个整数里程碑：100、200、500、1k、2k、5k、10k……
+const nextMilestone = (value) => {
+  for (let magnitude = 100; ; magnitude *= 10) {
+    const found = [1, 2, 5].map(step => step * magnitude).find(target => target > value);
+    if (found) return found;
+  }
+};
+
+const estimateMilestone = (target, current, rate, asOf) => {
+  const days = rate > 0 ? Math.ceil((target - current) / rate) : Infinity;
+  if (days > MAX_MILESTONE_DAYS) return { target, days: null, date: null };
+  return { target, days, date: addDays(asOf, days) };
+};
+
+/**
+ * 预测单个仓库的指标
+ * asOf：以该日及之前的快照为准（默认最新快照）；window：拟合的天数；
+ * milestones：要估算的目标值，缺省时取下一个整数里程碑
+ */
+const forecastRepo = (data, repo, {
+  metric = "stars",
+  asOf = null,
+  window = DEFAULT_WINDOW,
+  horizons = DEFAULT_HORIZONS,
+  milestones = null
+} = {}) => {
+  if (!METRIC_KEYS.includes(metric)) {
+    throw new Error(`未知的指标: ${metric}（可选：${METRIC_KEYS.join(", ")}）`);
+  }
+  const to = asOf || Object.keys(data).sort().reverse().find(date => data[date][repo]) || null;
+  const series = to ? metricSeries(data, repo, metric, { from: addDays(to, -(window - 1)), to }) : [];
+  if (series.length < MIN_SAMPLES) {
+    return { repo, metric, status: "insufficient-data", asOf: to, samples: series.length };
+  }
+
+  const first = series[0].date;
+  const last = series[series.length - 1];
+  const points = series.map(point => ({ ...point, x: daysBetween(first, point.date) }));
+  const linear = fitLinear(points);
+  const ema = fitEma(dailyRates(points));
+  const lastX = daysBetween(first, last.date);
+
+  const forecasts = horizons.map(days => {
+    const x = lastX + days;
+    const linearSe = linear.sigma * Math.sqrt(1 + 1 / linear.n + (x - linear.meanX) ** 2 / (linear.sxx || 1));
+    return {
+      days,
+      date: addDays(last.date, days),
+      linear: band(linear.intercept + linear.slope * x, Z_95 * linearSe),
+      ema: band(last.value + ema.rate * days, Z_95 * ema.sigma * Math.sqrt(days))
+    };
+  });
+
+  const targets = (milestones || [nextMilestone(last.value)]).filter(target => target > last.value);
+  return {
+    repo,
+    metric,
+    status: "ok",
+    asOf: last.date,
+    from: first,
+    samples: series.length,
+    current: last.value,
+    trend: {
+      linear: { perDay: round(linear.slope, 2), r2: round(linear.r2, 3) },
+      ema: { perDay: round(ema.rate, 2) }
+    },
+    forecasts,
+    milestones: targets.map(target => estimateMilestone(target, last.value, ema.rate, last.date))
+  };
+};
+
+const forecastRepos = (data, repos, options = {}) => repos.map(repo => forecastRepo(data, repo, options));
+
+// ========== 文本 ==========
+
+const formatNumber = (value) => value.toLocaleString("en-US");
+
+const formatMilestone = (target) => (target >= 1000 && target % 1000 === 0 ? `${target / 1000}k` : String(target));
+
+const signedRate = (value) => `${value >= 0 ? "+" : ""}${value}`;
+
+// 文案见 messages.json 的 forecast.*，t 缺省为内置中文
+const formatMilestoneText = (milestone, t = defaultT) => (milestone.date
+  ? t("forecast.milestone", { date: milestone.date, target: formatMilestone(milestone.target), days: milestone.days })
+  : t("forecast.unreachable", { target: formatMilestone(milestone.target) }));
+
+// 预测值与置信区间
+const formatEstimate = ({ value, low, high }) => ({
+  value: formatNumber(value),
+  low: formatNumber(low),
+  high: formatNumber(high)
+});
+
+// 单个仓库的预测文本，用于 MCP 工具与 AI 分析上下文
+const formatForecast = (forecast, t = defaultT) => {
+  if (forecast.status !== "ok") {
+    return "🔮 " + t("forecast.insufficient", { ...forecast, min: MIN_SAMPLES });
+  }
+  const { linear, ema } = forecast.trend;
+  const lines = [
+    "🔮 " + t("forecast.current", { ...forecast, current: formatNumber(forecast.current) }),
+    "   " + t("forecast.trend", { linear: signedRate(linear.perDay), r2: linear.r2, ema: signedRate(ema.perDay) }),
+    ...forecast.forecasts.map(item => "   " + t("forecast.detail", {
+      days: item.days,
+      date: item.date,
+      linear: formatEstimate(item.linear),
+      ema: formatEstimate(item.ema)
+    })),
+    ...forecast.milestones.map(milestone => `   🎯 ${formatMilestoneText(milestone, t)}`)
+  ];
+  return lines.join("\n");
+};
+
+const formatForecasts = (forecasts, t = defaultT) => forecasts.map(forecast => formatForecast(forecast, t)).join("\n");
+
+export {
+  DEFAULT_HORIZONS,
+  DEFAULT_WINDOW,
+  nextMilestone,
+  forecastRepo,
+  forecastRepos,
+  formatMilestone,
+  formatMilestoneText,
+  formatForecast,
+  formatForecasts
+};
@@ -0,0 +1,444 @@
+/**
+ * GitHub API 客户端
+ *
+ * - 读取 X-RateLimit-Remaining / X-RateLimit-Reset，额度耗尽时等待或直接报错
+ * - 5xx、429 与二级限流（secondary rate limit）自动退避重试
+ * - 基于 ETag / If-None-Match 的条件请求缓存，304 不消耗额度
+ */
+import fs from "fs";
+import fetch from "node-fetch";
+
+const GITHUB_API = "https://api.github.com";
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 结构化的 GitHub 请求错误，携带状态码与仓库信息，便于调用方按仓库汇总
+class GitHubError extends Error {
+  constructor(message, { status = null, url = null, repo = null, rateLimited = false } = {}) {
+    super(message);
+    this.name = "GitHubError";
+    this.status = status;
+    this.url = url;
+    this.repo = repo;
+    this.rateLimited = rateLimited;
+  }
+
+  toJSON() {
+    return {
+      repo: this.repo,
+      status: this.status,
+      rateLimited: this.rateLimited,
+      message: this.message
+    };
+  }
+}
+
+const loadCacheFile = (cacheFile) => {
+  try {
+    if (cacheFile && fs.existsSync(cacheFile)) {
+      return new Map(Object.entries(JSON.parse(fs.readFileSync(cacheFile, "utf-8"))));
+    }
+  } catch (e) {
+    console.warn(`无法读取 GitHub 缓存文件 (${cacheFile}):`, e.message);
+  }
+  return new Map();
+};
+
+const createGitHubClient = ({
+  token,
+  userAgent = "nodejs-monitor",
+  maxRetries = 3,
+  maxRateLimitWait = 60 * 1000,
+  cacheFile = null
+} = {}) => {
+  const cache = loadCacheFile(cacheFile);
+  // core / search / graphql 各自独立计算额度
+  const rateLimits = {};
+
+  const resourceFor = (url) => {
+    if (url.startsWith(`${GITHUB_API}/graphql`)) return "graphql";
+    if (url.startsWith(`${GITHUB_API}/search/`)) return "search";
+    return "core";
+  };
+
+  const updateRateLimit = (url, headers) => {
+    if (!headers.get("x-ratelimit-remaining")) return;
+    const resource = headers.get("x-ratelimit-resource") || resourceFor(url);
+    rateLimits[resource] = {
+      limit: parseInt(headers.get("x-ratelimit-limit")),
+      remaining: parseInt(headers.get("x-ratelimit-remaining")),
+      reset: parseInt(headers.get("x-ratelimit-reset")) * 1000
+    };
+  };
+
+  // 额度已耗尽时，在允许范围内等待重置，否则抛出限流错误
+  const waitForRateLimit = async (url) => {
+    const rateLimit = rateLimits[resourceFor(url)];
+    if (!rateLimit || rateLimit.remaining !== 0 || !rateLimit.reset) return;
+    const waitMs = rateLimit.reset - Date.now();
+    if (waitMs <= 0) return;
+    if (waitMs > maxRateLimitWait) {
+      throw new GitHubError(
+        `GitHub API 额度已耗尽，将于 ${new Date(rateLimit.reset).toISOString()} 重置`,
+        { status: 403, url, rateLimited: true }
+      );
+    }
+    console.warn(`⏳ GitHub API 额度已耗尽，等待 ${Math.ceil(waitMs / 1000)} 秒后继续`);
+    await sleep(waitMs + 1000);
+  };
+
+  // 计算重试等待时间：优先 Retry-After，其次限流重置时间，最后指数退避
+  const retryDelay = (res, attempt) => {
+    const retryAfter = res?.headers.get("retry-after");
+    if (retryAfter) return parseInt(retryAfter) * 1000;
+    const reset = res?.headers.get("x-ratelimit-reset");
+    if (res && res.headers.get("x-ratelimit-remaining") === "0" && reset) {
+      return Math.max(parseInt(reset) * 1000 - Date.now(), 0) + 1000;
+    }
+    return 2 ** attempt * 1000 + Math.floor(Math.random() * 500);
+  };
+
+  const isRetryable = (res, body) => {
+    if (res.status >= 500 || res.status === 429) return true;
+    if (res.status === 403) {
+      return res.headers.get("retry-after") !== null ||
+        /secondary rate limit|abuse/i.test(body?.message || "");
+    }
+    return false;
+  };
+
+  const buildHeaders = (extra = {}) => {
+    const headers = {
+      "User-Agent": userAgent,
+      "Accept": "application/vnd.github+json",
+      ...extra
+    };
+    if (token) headers["Authorization"] = `token ${token}`;
+    return headers;
+  };
+
+  const parseBody = async (res) => {
+    const text = await res.text();
+    if (!text) return null;
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  };
+
+  // 发送请求，返回 { status, data, headers }；非 2xx/304 时抛出 GitHubError
+  // 大量分页数据（如回填历史）可传 cache: false，避免缓存文件膨胀
+  const request = async (path, { method = "GET", headers: extraHeaders = {}, body, repo = null, cache: useCache = true } = {}) => {
+    const url = path.startsWith("http") ? path : `${GITHUB_API}${path}`;
+    const cacheable = method === "GET" && useCache;
+
+    for (let attempt = 0; ; attempt++) {
+      await waitForRateLimit(url);
+
+      const headers = buildHeaders(extraHeaders);
+      const cached = cacheable ? cache.get(url) : null;
+      if (cached?.etag) headers["If-None-Match"] = cached.etag;
+
+      let res;
+      try {
+        res = await fetch(url, {
+          method,
+          headers,
+          body: body === undefined ? undefined : JSON.stringify(body)
+        });
+      } catch (e) {
+        if (attempt < maxRetries) {
+          console.warn(`⚠️  请求 ${url} 失败（${e.message}），第 ${attempt + 1} 次重试`);
+          await sleep(retryDelay(null, attempt));
+          continue;
+        }
+        throw new GitHubError(`网络错误: ${e.message}`, { url, repo });
+      }
+
+      updateRateLimit(url, res.headers);
+
+      if (res.status === 304 && cached) {
+        return { status: 200, data: cached.data, headers: new Map(Object.entries(cached.headers)), fromCache: true };
+      }
+
+      const data = await parseBody(res);
+
+      if (res.ok) {
+        const etag = res.headers.get("etag");
+        const link = res.headers.get("link");
+        if (cacheable && etag) {
+          cache.set(url, { etag, data, headers: link ? { link } : {} });
+        }
+        return { status: res.status, data, headers: res.headers, fromCache: false };
+      }
+
+      if (attempt < maxRetries && isRetryable(res, data)) {
+        const delay = retryDelay(res, attempt);
+        if (delay <= maxRateLimitWait) {
+          console.warn(`⚠️  ${url} 返回 ${res.status}，${Math.ceil(delay / 1000)} 秒后重试（第 ${attempt + 1} 次）`);
+          await sleep(delay);
+          continue;
+        }
+      }
+
+      const rateLimited = res.status === 429 ||
+        (res.status === 403 && (res.headers.get("x-ratelimit-remaining") === "0" || isRetryable(res, data)));
+      throw new GitHubError(
+        `GitHub API ${res.status}: ${data?.message || res.statusText}`,
+        { status: res.status, url, repo, rateLimited }
+      );
+    }
+  };
+
+  // 将 ETag 缓存写回文件，供下次运行发起条件请求
+  const persistCache = () => {
+    if (!cacheFile) return;
+    try {
+      fs.writeFileSync(cacheFile, JSON.stringify(Object.fromEntries(cache)));
+    } catch (e) {
+      console.warn(`无法写入 GitHub 缓存文件 (${cacheFile}):`, e.message);
+    }
+  };
+
+  // GraphQL 查询：整体失败时抛出 GitHubError，部分字段出错时随结果返回 errors
+  const graphql = async (query, variables = {}) => {
+    const { data: body } = await request("/graphql", { method: "POST", body: { query, variables } });
+    if (!body?.data) {
+      const message = body?.errors?.map(error => error.message).join("; ") || "空响应";
+      throw new GitHubError(`GitHub GraphQL 查询失败: ${message}`, { url: `${GITHUB_API}/graphql` });
+    }
+    return { data: body.data, errors: body.errors || [] };
+  };
+
+  return {
+    request,
+    graphql,
+    persistCache,
+    rateLimits
+  };
+};
+
+// 通过分页 link 头统计列表总数（per_page=1 时最后一页的页码即为总数）
+const countFromLink = ({ headers, data }) => {
+  const last = headers.get("link")?.match(/[?&]page=(\d+)>; rel="last"/);
+  if (last) return parseInt(last[1]);
+  return Array.isArray(data) ? data.length : 0;
+};
+
+// 从 link 头中解析指定关系（next / last）的页码
+const pageFromLink = (headers, rel) => {
+  const match = headers.get("link")?.match(new RegExp(`[?&]page=(\\d+)[^>]*>; rel="${rel}"`));
+  return match ? parseInt(match[1]) : null;
+};
+
+// 逐页读取列表接口，shouldStop(items) 返回 true 时提前结束
+const paginate = async (client, path, { repo = null, headers = {}, shouldStop = () => false } = {}) => {
+  const items = [];
+  const separator = path.includes("?") ? "&" : "?";
+  for (let page = 1; ; page++) {
+    const res = await client.request(`${path}${separator}per_page=100&page=${page}`, { repo, headers, cache: false });
+    const pageItems = Array.isArray(res.data) ? res.data : [];
+    items.push(...pageItems);
+    if (pageItems.length === 0 || !pageFromLink(res.headers, "next") || shouldStop(pageItems)) break;
+  }
+  return items;
+};
+
+// 可选数据（流量需要 push 权限、超大仓库无法列出贡献者），无权限时返回 null
+const requestOptional = async (client, path, repo) => {
+  try {
+    return await client.request(path, { repo });
+  } catch (e) {
+    if (e instanceof GitHubError && (e.status === 403 || e.status === 404) && !e.rateLimited) return null;
+    throw e;
+  }
+};
+
+// 贡献者与流量只能通过 REST 获取（GraphQL 没有对应字段）
+const fetchRestOnlyStats = async (client, repo) => {
+  const contributorsRes = await requestOptional(client, `/repos/${repo}/contributors?per_page=1&anon=1`, repo);
+  const views = (await requestOptional(client, `/repos/${repo}/traffic/views`, repo))?.data;
+  const clones = (await requestOptional(client, `/repos/${repo}/traffic/clones`, repo))?.data;
+  return {
+    contributors: contributorsRes ? countFromLink(contributorsRes) : null,
+    views: views?.count ?? null,
+    uniqueViews: views?.uniques ?? null,
+    clones: clones?.count ?? null,
+    uniqueClones: clones?.uniques ?? null
+  };
+};
+
+const fetchRepoStats = async (client, repo) => {
+  // 获取 repo 信息（stars、forks、watchers）
+  const { data: repoData } = await client.request(`/repos/${repo}`, { repo });
+  if (typeof repoData?.stargazers_count !== "number") {
+    throw new GitHubError(`仓库信息缺少 stargazers_count`, { repo });
+  }
+
+  // 获取 commit 数（只能用 commits API，因为 repo 的 commit_count 不准确）
+  // 空仓库的 commits 接口返回 409
+  let commitCount = 0;
+  try {
+    commitCount = countFromLink(await client.request(`/repos/${repo}/commits?per_page=1`, { repo }));
+  } catch (e) {
+    if (e.status !== 409) throw e;
+  }
+
+  // 获取 issue 数
+  const { data: issuesData } = await client.request(`/search/issues?q=repo:${repo}+type:issue+state:open`, { repo });
+
+  // 获取 PR 数（open 通过列表分页统计，merged 只能用 search）
+  const openPRs = countFromLink(await client.request(`/repos/${repo}/pulls?state=open&per_page=1`, { repo }));
+  const { data: mergedPRsData } = await client.request(`/search/issues?q=repo:${repo}+type:pr+is:merged`, { repo });
+
+  // 获取 release 信息：最新 tag 与最近 100 个 release 的累计下载量
+  const { data: releases } = await client.request(`/repos/${repo}/releases?per_page=100`, { repo });
+  const latestRelease = releases.find(release => !release.draft && !release.prerelease) || releases[0];
+  const downloads = releases.reduce(
+    (sum, release) => sum + (release.assets || []).reduce((total, asset) => total + asset.download_count, 0),
+    0
+  );
+
+  return {
+    stars: repoData.stargazers_count,
+    forks: repoData.forks_count,
+    watchers: repoData.subscribers_count,
+    commits: commitCount,
+    issues: issuesData.total_count,
+    openPRs,
+    mergedPRs: mergedPRsData.total_count,
+    release: latestRelease?.tag_name ?? null,
+    downloads,
+    ...(await fetchRestOnlyStats(client, repo))
+  };
+};
+
+// ========== GraphQL 批量采集 ==========
+
+// 单个仓库的查询片段，别名区分多个仓库
+const REPO_STATS_FRAGMENT = `
+  fragment RepoStats on Repository {
+    stargazerCount
+    forkCount
+    watchers { totalCount }
+    issues(states: OPEN) { totalCount }
+    openPRs: pullRequests(states: OPEN) { totalCount }
+    mergedPRs: pullRequests(states: MERGED) { totalCount }
+    defaultBranchRef {
+      target {
+        ... on Commit { history { totalCount } }
+      }
+    }
+    latestRelease { tagName }
+    releases(first: 100, orderBy: { field: CREATED_AT, direction: DESC }) {
+      nodes {
+        tagName
+        releaseAssets(first: 20) { nodes { downloadCount } }
+      }
+    }
+  }
+`;
+
+const buildBatchQuery = (repos) => {
+  const params = repos.map((_, i) => `$owner${i}: String!, $name${i}: String!`).join(", ");
+  const fields = repos.map((_, i) => `  repo${i}: repository(owner: $owner${i}, name: $name${i}) { ...RepoStats }`).join("\n");
+  const variables = {};
+  repos.forEach((repo, i) => {
+    const [owner, name] = repo.split("/");
+    variables[`owner${i}`] = owner;
+    variables[`name${i}`] = name;
+  });
+  return {
+    query: `query(${params}) {\n${fields}\n}\n${REPO_STATS_FRAGMENT}`,
+    variables
+  };
+};
+
+const fromGraphQLNode = (node) => {
+  const releases = node.releases?.nodes || [];
+  return {
+    stars: node.stargazerCount,
+    forks: node.forkCount,
+    watchers: node.watchers.totalCount,
+    commits: node.defaultBranchRef?.target?.history?.totalCount ?? 0,
+    issues: node.issues.totalCount,
+    openPRs: node.openPRs.totalCount,
+    mergedPRs: node.mergedPRs.totalCount,
+    release: node.latestRelease?.tagName ?? releases[0]?.tagName ?? null,
+    downloads: releases.reduce(
+      (sum, release) => sum + release.releaseAssets.nodes.reduce((total, asset) => total + asset.downloadCount, 0),
+      0
+    )
+  };
+};
+
+// 一次查询获取一批仓库，返回 { stats, failures }；整批失败时抛出
+const fetchReposStatsGraphQL = async (client, repos) => {
+  const { query, variables } = buildBatchQuery(repos);
+  const { data, errors } = await client.graphql(query, variables);
+
+  const stats = {};
+  const failures = [];
+  for (const [i, repo] of repos.entries()) {
+    const node = data[`repo${i}`];
+    if (!node) {
+      const error = errors.find(e => e.path?.[0] === `repo${i}`);
+      const status = error?.type === "NOT_FOUND" ? 404 : null;
+      failures.push(new GitHubError(error?.message || "仓库不存在或无权访问", { status, repo }));
+      continue;
+    }
+    // 贡献者与流量仍需 REST 补充，但不占用 Search API 额度
+    try {
+      stats[repo] = { ...fromGraphQLNode(node), ...(await fetchRestOnlyStats(client, repo)) };
+    } catch (e) {
+      failures.push(e instanceof GitHubError ? e : new GitHubError(e.message, { repo }));
+    }
+  }
+  return { stats, failures };
+};
+
+// 采集多个仓库：graphql 模式按批查询，整批失败时回退到 REST；rest 模式逐个请求
+const collectReposStats = async (client, repos, { mode = "graphql", batchSize = 10 } = {}) => {
+  const stats = {};
+  const failures = [];
+
+  const collectRest = async (batch) => {
+    for (const repo of batch) {
+      try {
+        stats[repo] = await fetchRepoStats(client, repo);
+      } catch (e) {
+        failures.push(e instanceof GitHubError ? e : new GitHubError(e.message, { repo }));
+      }
+    }
+  };
+
+  for (let i = 0; i < repos.length; i += batchSize) {
+    const batch = repos.slice(i, i + batchSize);
+    if (mode !== "graphql") {
+      await collectRest(batch);
+      continue;
+    }
+    try {
+      const result = await fetchReposStatsGraphQL(client, batch);
+      Object.assign(stats, result.stats);
+      failures.push(...result.failures);
+    } catch (e) {
+      console.warn(`⚠️  GraphQL 批量查询失败（${e.message}），回退到 REST 逐个采集`);
+      await collectRest(batch);
+    }
+  }
+
+  return { stats, failures };
+};
+
+export {
+  GitHubError,
+  createGitHubClient,
+  countFromLink,
+  pageFromLink,
+  paginate,
+  fetchRepoStats,
+  fetchReposStatsGraphQL,
+  collectReposStats
+};
@@ -1,42 +1,151 @@
 #!/usr/bin/env node
 import fs from "fs";
 import fetch from "node-fetch";
-import schedule from "node-schedule";
 import dotenv from "dotenv";
 import express from "express";
-import OpenAI from "openai";
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import {
-  SYSTEM_PROMPT_BASE,
-  SYSTEM_PROMPT_SSE,
-  SYSTEM_PROMPT_WEBHOOK,
-  createUserPrompt
-} from './prompts.js';
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { createPrompts } from './prompts.js';
+import { createTemplates } from './templates.js';
+import {
+  REPORT_RESOURCE_KINDS,
+  RESOURCE_TEMPLATES,
+  historyUri,
+  reportUri,
+  parseResourceUri,
+  repoHistory,
+  reportContents,
+  createSubscriptions
+} from './mcp-resources.js';
+import { normalizeStats, diffStats } from './metrics.js';
+import { GitHubError, createGitHubClient, collectReposStats } from './github.js';
+import { isDiscoveryTarget, discoverRepos } from './discovery.js';
+import { backfillRepo, mergeBackfill } from './backfill.js';
+import {
+  PeriodError,
+  addDays,
+  isValidDate,
+  isoWeekRange,
+  rangeFromLabel,
+  previousPeriodRange,
+  trailingRange,
+  aggregatePeriod,
+  groupTotals,
+  ownerGroups,
+  buildPeriodReport
+} from './aggregate.js';
+import { DEFAULT_PATHS, DataCorruptionError, createStorage, parseStorageSpec, migrateStorage } from './storage.js';
+import { EXIT_CODES, UsageError, parseCli, formatHelp, formatOutput } from './cli.js';
+import { loadScheduleConfig, createScheduler } from './scheduler.js';
+import { loadNotifierConfig, createNotifier } from './notifiers.js';
+import { dailyReportModel, weeklyReportModel, periodReportModel, renderText } from './report.js';
+import { createFeishuBot } from './feishu-bot.js';
+import { loadAlertConfig, createAlerter, formatAlerts } from './alerts.js';
+import { DEFAULT_HORIZONS, DEFAULT_WINDOW, forecastRepos, formatForecasts } from './forecast.js';
+import { DEFAULT_TOKEN_BUDGET, estimateTokens, summarizeData } from './summary.js';
+import { DEFAULT_MAX_ITERATIONS, parsePeriod, createAnalyst, formatToolCalls } from './analyst.js';
+import { LlmUnavailableError, createLazyLlm } from './llm.js';
+import { MCP_PATHS, isAuthorized, loadMcpHttpConfig, mountMcpTransports } from './mcp-http.js';
+import { listTools, parseToolArguments, createQueries } from './mcp-tools.js';
+import {
+  DEFAULT_WATCHLIST_FILE,
+  DEFAULT_DISCOVERY_STATE_FILE,
+  GROUP_PREFIX,
+  WatchlistError,
+  createWatchlist,
+  formatWatchlist
+} from './watchlist.js';
 
 dotenv.config();
 
-const GITHUB_REPOS = process.env.REPORT_REPOS.split(",");
+// 监控列表：保存在 WATCHLIST_FILE，文件不存在时以 REPORT_REPOS 为初始列表（见 watchlist.js），可通过 --repos / --group 按次覆盖
+// REPORT_REPOS 中可以包含发现规则，如 org:datawhalechina（见 discovery.js）
+const watchlist = createWatchlist({
+  file: process.env.WATCHLIST_FILE || DEFAULT_WATCHLIST_FILE,
+  stateFile: process.env.DISCOVERY_STATE_FILE || DEFAULT_DISCOVERY_STATE_FILE,
+  defaults: (process.env.REPORT_REPOS || "").split(",").map(repo => repo.trim()).filter(Boolean)
+});
+// 当前监控的仓库（发现规则使用最近一次日报时的解析结果），每次读取都以监控列表文件为准
+const watchedRepos = () => watchlist.repos();
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-const FEISHU_WEBHOOK = process.env.FEISHU_WEBHOOK;
 
-// LLM 配置
-const API_KEY = process.env.API_KEY || process.env.OPENAI_API_KEY;
-const API_BASE_URL = process.env.API_BASE_URL || "https://api.openai.com/v1";
-const API_MODEL = process.env.API_MODEL || "gpt-4o";
+// 报告语言与自定义模板目录（见 templates.js）
+const templates = createTemplates({
+  lang: process.env.REPORT_LANG || "zh",
+  dir: process.env.TEMPLATES_DIR || null
+});
+const { t } = templates;
+const prompts = createPrompts(templates);
+
+// LLM 配置：API_KEY / ANTHROPIC_API_KEY / OLLAMA_MODEL 等，LLM_PROVIDERS 指定降级顺序（见 llm.js）
+// 首次调用大模型时才读取，配置有误不影响数据采集
+const llm = createLazyLlm();
+// 提示词中数据摘要的 token 预算（小上下文的模型可调低），以及默认分析的天数
+const PROMPT_TOKEN_BUDGET = parseInt(process.env.PROMPT_TOKEN_BUDGET || String(DEFAULT_TOKEN_BUDGET));
+const ANALYSIS_DAYS = parseInt(process.env.ANALYSIS_DAYS || "30");
+// AI 分析时模型查询数据的最大轮数，0 表示不使用工具调用（模型不支持 function calling 时）
+const ANALYST_MAX_ITERATIONS = parseInt(process.env.ANALYST_MAX_ITERATIONS || String(DEFAULT_MAX_ITERATIONS));
+
+// 采集方式：graphql（批量查询，默认）或 rest（逐个仓库请求）；GraphQL 需要 Token
+const GITHUB_COLLECTOR = process.env.GITHUB_COLLECTOR || (GITHUB_TOKEN ? "graphql" : "rest");
+const GITHUB_BATCH_SIZE = parseInt(process.env.GITHUB_BATCH_SIZE || "10");
+
+// 日报默认不推送，设置为 true 后每次采集都推送（可用 --push / --no-push 按次覆盖）
+const DAILY_PUSH = process.env.DAILY_PUSH === "true";
+
+// 异常告警：采集日报后按 ALERT_RULES_FILE 中的规则检查，命中的告警作为紧急通知单独推送
+const ALERTS_ENABLED = process.env.ALERTS_ENABLED !== "false";
+const ALERT_RULES_FILE = process.env.ALERT_RULES_FILE || "alerts.json";
+const ALERT_STATE_FILE = process.env.ALERT_STATE_FILE || ".alerts-state.json";
+// 告警推送的渠道类型，逗号分隔，默认推送到所有已配置的渠道
+const ALERT_CHANNELS = process.env.ALERT_CHANNELS
+  ? process.env.ALERT_CHANNELS.split(",").map(channel => channel.trim()).filter(Boolean)
+  : null;
+
+// GitHub 条件请求缓存文件（可选，不配置则仅在进程内缓存）
+const GITHUB_CACHE_FILE = process.env.GITHUB_CACHE_FILE;
+
+// 存储配置，可通过 --storage / --data-file 按次覆盖
+const storageConfig = {
+  // 存储后端：json（默认）、jsonl 或 sqlite
+  type: process.env.STORAGE || "json",
+  // 文件存储数据 - 默认当前目录的 data.json（jsonl 为 data.jsonl，sqlite 为 data.db）
+  path: process.env.DATA_FILE || null
+};
 
-// 文件存储数据 - 默认当前目录的 data.json
-const DATA_FILE = process.env.DATA_FILE || "data.json";
+const dataFile = () => storageConfig.path || DEFAULT_PATHS[storageConfig.type] || "data.json";
 
 // 内存存储作为备选方案
 let memoryData = {};
 
+const github = createGitHubClient({
+  token: GITHUB_TOKEN,
+  cacheFile: GITHUB_CACHE_FILE
+});
+
+// 通知渠道：FEISHU_WEBHOOK、SLACK_WEBHOOK、DINGTALK_WEBHOOK、WECOM_WEBHOOK、DISCORD_WEBHOOK、SMTP_*、NOTIFY_WEBHOOKS
+const notifier = createNotifier(loadNotifierConfig(), { t });
+
+const formatNotifications = (results) => (results.length === 0
+  ? t("notify.none")
+  : results.map(result => (result.ok ? `✅ ${result.channel}` : `❌ ${result.channel}: ${result.error}`)).join("\n"));
+
 // ========== 工具函数 ==========
 
 const checkFileSystemAccess = () => {
   try {
-    const testFile = DATA_FILE + '.test';
+    const testFile = dataFile() + '.test';
     fs.writeFileSync(testFile, 'test');
     fs.unlinkSync(testFile);
     return true;
@@ -45,197 +154,533 @@ const checkFileSystemAccess = () => {
   }
 };
 
-const fetchRepoStats = async (repo) => {
-  const headers = {
-    "Authorization": `token ${GITHUB_TOKEN}`,
-    "User-Agent": "nodejs-monitor"
-  };
-
-  // 获取 repo 信息
-  const repoRes = await fetch(`https://api.github.com/repos/${repo}`, { headers });
-  const repoData = await repoRes.json();
-
-  // 获取 commit 数（只能用 commits API，因为 repo 的 commit_count 不准确）
-  const commitsRes = await fetch(`https://api.github.com/repos/${repo}/commits?per_page=1`, { headers });
-  const commits = commitsRes.headers.get("link")?.match(/&page=(\d+)>; rel="last"/);
-  const commitCount = commits ? parseInt(commits[1]) : 0;
+// 存储后端延迟创建，避免不需要读写数据的任务加载 SQLite 驱动
+let storage = null;
 
-  // 获取 issue 数
-  const issuesRes = await fetch(`https://api.github.com/search/issues?q=repo:${repo}+type:issue+state:open`, { headers });
-  const issuesData = await issuesRes.json();
-
-  return {
-    stars: repoData.stargazers_count,
-    commits: commitCount,
-    issues: issuesData.total_count
-  };
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage({ type: storageConfig.type, path: dataFile() });
+  }
+  return storage;
 };
 
-const loadData = () => {
+const loadData = (options = null) => {
   try {
-    // 首先尝试从文件加载
-    if (fs.existsSync(DATA_FILE)) {
-      const content = fs.readFileSync(DATA_FILE, "utf-8");
-      if (content.trim()) {
-        const data = JSON.parse(content);
-        // 同步到内存
-        memoryData = { ...data };
-        return data;
-      }
+    const data = options ? getStorage().query(options) : getStorage().load();
+    if (!options) {
+      // 同步到内存
+      memoryData = { ...data };
     }
+    return data;
   } catch (e) {
-    console.warn(`无法从文件加载数据 (${DATA_FILE}):`, e.message);
+    // 历史已损坏时不能退回空数据，否则后续任务会以 0 为基准计算并覆盖历史
+    if (e instanceof DataCorruptionError) throw e;
+    console.warn(`无法从存储加载数据 (${storageConfig.type}: ${dataFile()}):`, e.message);
     console.log("将使用内存存储模式");
   }
 
-  // 如果文件加载失败，返回内存数据
+  // 如果存储加载失败，返回内存数据
   return Object.keys(memoryData).length > 0 ? memoryData : {};
 };
 
-const saveData = (data) => {
-  // 总是保存到内存
-  memoryData = { ...data };
+// 存储写入失败时备份到 /tmp
+const backupToTmp = (data, e) => {
+  console.warn(`无法保存到存储 (${storageConfig.type}: ${dataFile()}):`, e.message);
+  console.log("数据已保存到内存，下次重启将丢失");
+
+  // 如果是权限问题或历史已损坏，尝试保存到 /tmp
+  if (e.code === 'EROFS' || e.code === 'EACCES' || e instanceof DataCorruptionError) {
+    try {
+      const tmpFile = `/tmp/starReport_data_${Date.now()}.json`;
+      fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+      console.log(`数据已备份到: ${tmpFile}`);
+    } catch (tmpError) {
+      console.warn("无法创建临时备份文件:", tmpError.message);
+    }
+  }
+};
+
+// 只写入尚不存在的快照（历史回填），已有的记录保留
+const fillData = (data) => {
+  memoryData = { ...memoryData };
+  for (const [date, day] of Object.entries(data)) {
+    memoryData[date] = { ...day, ...memoryData[date] };
+  }
 
   try {
-    // 尝试保存到文件
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
-    console.log(`数据已保存到文件: ${DATA_FILE}`);
+    const filled = getStorage().fill(data);
+    console.log(`已补充 ${filled} 条快照到存储: ${storageConfig.type}: ${dataFile()}`);
   } catch (e) {
-    console.warn(`无法保存到文件 (${DATA_FILE}):`, e.message);
-    console.log("数据已保存到内存，下次重启将丢失");
+    backupToTmp(data, e);
+    if (e instanceof DataCorruptionError) throw e;
+  }
+};
 
-    // 如果是权限问题，尝试保存到 /tmp
-    if (e.code === 'EROFS' || e.code === 'EACCES') {
-      try {
-        const tmpFile = `/tmp/starReport_data_${Date.now()}.json`;
-        fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
-        console.log(`数据已备份到: ${tmpFile}`);
-      } catch (tmpError) {
-        console.warn("无法创建临时备份文件:", tmpError.message);
-      }
-    }
+// 只写入某一天的快照，jsonl 与 sqlite 后端无需重写全部历史
+const saveDay = (date, day) => {
+  memoryData = { ...memoryData, [date]: day };
+
+  try {
+    getStorage().saveDay(date, day);
+    console.log(`${date} 的快照已保存到存储: ${storageConfig.type}: ${dataFile()}`);
+  } catch (e) {
+    backupToTmp(memoryData, e);
+    if (e instanceof DataCorruptionError) throw e;
   }
 };
 
-const sendFeishuMessage = async (content) => {
-  const cardContent = {
-    "schema": "2.0",
-    "config": {
-      "update_multi": true,
-      "style": {
-        "text_size": {
-          "normal_v2": {
-            "default": "normal",
-            "pc": "normal",
-            "mobile": "heading"
-          }
-        }
-      }
-    },
-    "body": {
-      "direction": "vertical",
-      "padding": "12px 12px 12px 12px",
-      "elements": [
-        {
-          "tag": "markdown",
-          "content": content,
-          "text_align": "left",
-          "text_size": "normal_v2",
-          "margin": "0px 0px 0px 0px"
-        }
-      ]
-    }
+// 启动时的完整性检查：历史无法解析时列出可用备份并拒绝继续
+const verifyStorage = () => {
+  const result = getStorage().verify();
+  if (result.ok) return true;
+
+  console.error(`❌ 数据完整性检查失败 (${storageConfig.type}: ${dataFile()}): ${result.error}`);
+  if (result.backups.length > 0) {
+    console.log(`💡 可用的备份：${result.backups.join(", ")}`);
+    console.log(`💡 确认后可执行 cp ${result.backups[0]} ${dataFile()} 恢复`);
+  }
+  return false;
+};
+
+// ========== 异常告警 ==========
+
+// 检查 date 当天的告警，冷却期外的告警推送为紧急通知；至少一个渠道推送成功后才进入冷却期
+// send 为 false 时（如 --dry-run）只检查不推送
+const alertJob = async (data, { date, repos, failures, send = true }) => {
+  if (!ALERTS_ENABLED) return { alerts: [], due: [], notifications: [] };
+
+  const alerter = createAlerter({ configFile: ALERT_RULES_FILE, stateFile: ALERT_STATE_FILE, t });
+  const { alerts, due } = alerter.check(data, { date, repos, failures, tagsOf: watchlist.tagsOf });
+  for (const alert of alerts) {
+    const cooling = !due.includes(alert);
+    console.warn(`🚨 告警 ${alert.repo}：${alert.message}${cooling ? "（冷却期内，不重复推送）" : ""}`);
   }
-  await fetch(FEISHU_WEBHOOK, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ msg_type: "interactive", card: cardContent })
+  if (!send || due.length === 0) return { alerts, due, notifications: [] };
+
+  const notifications = await notifier.notify(formatAlerts(due, date, t), {
+    report: { date, alerts: due },
+    urgent: true,
+    channels: ALERT_CHANNELS
   });
+  if (notifications.some(notification => notification.ok)) {
+    alerter.markSent(due);
+  }
+  return { alerts, due, notifications };
+};
+
+// ========== 仓库发现 ==========
+
+// 发现规则中的组织与用户，报告中按它们合计
+const discoveryOwners = () => [...new Set(watchlist.targets().filter(target => target.owner).map(target => target.owner.name))];
+
+const ownerTotals = (repos, items) => groupTotals(ownerGroups(repos, discoveryOwners()), items);
+
+/**
+ * 重新解析全部发现规则，返回本次要监控的仓库 { repos, sources, discovery, failures }
+ * sources 为 { 仓库: 发现它的规则 }；规则解析失败时沿用上次的结果，并记为失败项；dryRun 时不保存解析结果
+ */
+const discoverWatched = async ({ dryRun = false } = {}) => {
+  const discovered = {};
+  const discovery = [];
+  const failures = [];
+  for (const target of watchlist.targets()) {
+    try {
+      const repos = await discoverRepos(github, target, target.filters);
+      // 第一次解析的规则不标记新增
+      const added = target.resolvedAt ? repos.filter(repo => !target.repos.includes(repo)) : [];
+      const removed = target.repos.filter(repo => !repos.includes(repo));
+      if (!dryRun) watchlist.recordDiscovery(target.spec, repos);
+      discovered[target.spec] = repos;
+      discovery.push({ spec: target.spec, count: repos.length, added, removed });
+      console.log(`🔍 ${target.spec}：${repos.length} 个仓库` +
+        (added.length > 0 ? `，新发现 ${added.join(", ")}` : "") +
+        (removed.length > 0 ? `，不再匹配 ${removed.join(", ")}（历史数据保留）` : ""));
+    } catch (e) {
+      if (!(e instanceof GitHubError)) throw e;
+      console.warn(`⚠️  发现规则 ${target.spec} 解析失败，沿用上次的结果（${target.repos.length} 个仓库）: ${e.message}`);
+      failures.push({ repo: target.spec, status: e.status ?? null, message: e.message });
+    }
+  }
+  github.persistCache();
+
+  const entries = watchlist.list(null, discovered);
+  return {
+    repos: entries.map(entry => entry.repo),
+    sources: Object.fromEntries(entries.filter(entry => entry.discoveredBy).map(entry => [entry.repo, entry.discoveredBy])),
+    discovery,
+    failures
+  };
 };
 
 // ========== 每日任务 ==========
 
-const dailyJob = async () => {
+// repos：本次处理的仓库，缺省时为监控列表（重新解析发现规则）；date：快照记录的日期；dryRun：只生成报告不写入数据
+const dailyJob = async ({ repos: selected = null, date = null, dryRun = false, push = DAILY_PUSH } = {}) => {
+  const { repos, sources, discovery, failures: discoveryFailures } = selected
+    ? { repos: selected, sources: {}, discovery: [], failures: [] }
+    : await discoverWatched({ dryRun });
   const data = loadData();
-  const today = new Date().toISOString().split("T")[0];
+  const today = date || new Date().toISOString().split("T")[0];
   data[today] = data[today] || {};
+  const items = [];
 
-  let report = `【GitHub 仓库日报】\n日期：${today}\n`;
-
-  for (const repo of GITHUB_REPOS) {
-    const stats = await fetchRepoStats(repo);
-
-    const prevDate = Object.keys(data).sort().reverse().find(date => data[date][repo]);
-    const prevStats = prevDate ? data[prevDate][repo] : { stars: 0, commits: 0, issues: 0 };
+  const { stats: collected, failures } = await collectReposStats(github, repos, {
+    mode: GITHUB_COLLECTOR,
+    batchSize: GITHUB_BATCH_SIZE
+  });
 
-    const diffStars = stats.stars - prevStats.stars;
-    const diffCommits = stats.commits - prevStats.commits;
-    const diffIssues = stats.issues - prevStats.issues;
+  for (const repo of repos) {
+    // 单个仓库失败不影响其他仓库，也不写入当天快照
+    const stats = collected[repo];
+    if (!stats) continue;
 
+    // 基线取今天之前最近的快照；重跑已有快照的日期时不能和自己比较
+    const prevDate = Object.keys(data).sort().reverse().find(d => d < today && data[d][repo]);
     data[today][repo] = stats;
 
-    report += `\n🔗 ${repo}\n⭐️ Stars: ${stats.stars} (+${diffStars})\n` +
-      `🔨 Commits: ${stats.commits} (+${diffCommits})\n` +
-      `🐛 Issues: ${stats.issues} (+${diffIssues})\n`;
+    // 第一次记录的仓库没有基线，不计算增量；发现规则新发现的仓库注明来源
+    if (!prevDate) {
+      items.push({
+        repo,
+        status: "no-baseline",
+        firstSeen: today,
+        discoveredBy: sources[repo] || null,
+        baseline: null,
+        end: { date: today, stats: normalizeStats(stats) },
+        diff: null
+      });
+      continue;
+    }
+    const prevStats = normalizeStats(data[prevDate][repo]);
+    items.push({
+      repo,
+      status: "ok",
+      baseline: { date: prevDate, stats: prevStats },
+      end: { date: today, stats: normalizeStats(stats) },
+      diff: diffStats(normalizeStats(stats), prevStats)
+    });
   }
 
-  saveData(data);
-  // await sendFeishuMessage(report);
-  return report;
+  failures.forEach(f => console.warn(`⚠️  采集 ${f.repo} 失败:`, f.message));
+
+  github.persistCache();
+
+  // 所有仓库都失败时不留下空的当天快照
+  if (!dryRun && Object.keys(data[today]).length > 0) {
+    saveDay(today, data[today]);
+  }
+  const report = {
+    date: today,
+    repos: items.map(item => ({
+      repo: item.repo,
+      stats: collected[item.repo],
+      diff: item.diff,
+      ...(item.status === "no-baseline" ? { new: true, discoveredBy: item.discoveredBy } : {})
+    })),
+    failures: [
+      ...discoveryFailures,
+      ...failures.map(f => ({ repo: f.repo, status: f.status ?? null, message: f.message }))
+    ],
+    ...(discovery.length > 0 ? { discovery } : {})
+  };
+  const model = dailyReportModel({ date: today, items, failures: report.failures, orgs: ownerTotals(repos, items) }, data, t);
+  const text = renderText(model, t);
+  const notifications = push ? await notifier.notify(text, { report, model }) : [];
+
+  // 告警与日报分开推送，不受 DAILY_PUSH 影响
+  const alerts = await alertJob(data, { date: today, repos, failures: report.failures, send: !dryRun });
+  report.alerts = alerts.alerts;
+  return { text, report, model, notifications, alerts };
 };
 
 // ========== 每周任务（周三 20:00） ==========
 
-const weeklyJob = async () => {
+// 周期标签无效时转换为参数错误
+const usageOnPeriodError = (fn, command) => {
+  try {
+    return fn();
+  } catch (e) {
+    if (e instanceof PeriodError) throw new UsageError(e.message, command);
+    throw e;
+  }
+};
+
+// 解析报告区间参数：ISO 周（2025-W23）、起止日期（2025-06-01 2025-06-07），默认最近 7 天
+// command 为命令行的命令名，用于参数错误时显示该命令的用法
+const resolveRange = (args = [], command = null) => {
+  if (args.length === 0) return trailingRange(7);
+  if (args.length === 1 && /^\d{4}-W\d{2}$/.test(args[0])) return usageOnPeriodError(() => isoWeekRange(args[0]), command);
+  if (args.length === 2 && isValidDate(args[0]) && isValidDate(args[1]) && args[0] <= args[1]) {
+    return { from: args[0], to: args[1], label: `${args[0]} ~ ${args[1]}` };
+  }
+  throw new UsageError(t("usage.invalidRange", { range: args.join(" ") }), command);
+};
+
+const weeklyJob = async (range = trailingRange(7), { repos = watchedRepos(), push = true } = {}) => {
   const data = loadData();
-  const dates = Object.keys(data).sort().reverse().slice(0, 7);
+  const aggregate = aggregatePeriod(data, repos, range);
+  const model = weeklyReportModel(aggregate, data, t, { orgs: ownerTotals(repos, aggregate.repos) });
+  const text = renderText(model, t);
 
-  let report = `【GitHub 仓库周报】\n日期：${dates[dates.length - 1]} ~ ${dates[0]}\n`;
+  const notifications = push ? await notifier.notify(text, { report: aggregate, model }) : [];
+  return { text, report: aggregate, model, notifications };
+};
 
-  for (const repo of GITHUB_REPOS) {
-    const firstDay = data[dates[dates.length - 1]]?.[repo] || { stars: 0, commits: 0, issues: 0 };
-    const lastDay = data[dates[0]]?.[repo] || { stars: 0, commits: 0, issues: 0 };
+// ========== 月报 / 季报 / 自定义区间报告 ==========
 
-    const diffStars = lastDay.stars - firstDay.stars;
-    const diffCommits = lastDay.commits - firstDay.commits;
-    const diffIssues = lastDay.issues - firstDay.issues;
+// forecast：报告末尾附带截至周期结束日的 Stars 趋势预测
+const PERIOD_REPORTS = {
+  monthly: { period: "month", forecast: true },
+  quarterly: { period: "quarter", forecast: true },
+  custom: { period: null }
+};
 
-    report += `\n🔗 ${repo}\n⭐️ Stars: ${lastDay.stars} (+${diffStars})\n` +
-      `🔨 Commits: ${lastDay.commits} (+${diffCommits})\n` +
-      `🐛 Issues: ${lastDay.issues} (+${diffIssues})\n`;
+// kind: monthly / quarterly / custom；range 缺省时取上一个完整的自然月或季度
+const periodJob = async (kind, range = null, { repos = watchedRepos(), push = true } = {}) => {
+  const { period, forecast } = PERIOD_REPORTS[kind];
+  const resolvedRange = range || previousPeriodRange(period);
+  const data = loadData();
+  const report = buildPeriodReport(data, repos, resolvedRange, {
+    kind,
+    period,
+    groups: watchlist.groups(),
+    orgs: discoveryOwners()
+  });
+  if (forecast) {
+    report.forecasts = forecastRepos(data, repos, { asOf: resolvedRange.to });
   }
+  const model = periodReportModel(report, data, t);
+  const text = renderText(model, t);
 
-  await sendFeishuMessage(report);
-  return report;
+  const notifications = push ? await notifier.notify(text, { report, model }) : [];
+  return { report, text, model, notifications };
 };
 
-// ========== OpenAI 智能分析 ==========
+// 解析周期报告参数：monthly [2025-06]、quarterly [2025-Q2]、custom --from 2025-06-01 --to 2025-08-31
+const resolvePeriodRange = (kind, { label = null, from = null, to = null } = {}, command = null) => {
+  if (kind === "custom") {
+    if (!isValidDate(from || "") || !isValidDate(to || "") || from > to) {
+      throw new UsageError(t("usage.invalidCustomRange"), command);
+    }
+    return { from, to, label: `${from} ~ ${to}` };
+  }
+  return label ? usageOnPeriodError(() => rangeFromLabel(label), command) : null;
+};
+
+// ========== 历史数据回填 ==========
+
+const backfillJob = async ({ from = null, repos = watchedRepos(), dryRun = false } = {}) => {
+  const data = loadData();
+  // 本次回填的快照，只包含本地还没有的日期
+  const pending = {};
+  const today = new Date().toISOString().split("T")[0];
+  const to = addDays(today, -1);
+
+  let text = heading("title.backfill") + t("backfill.range", { from, to }) + "\n";
+  const items = [];
+
+  for (const repo of repos) {
+    try {
+      const { days, skipped } = await backfillRepo(github, repo, { from, to });
+      const missing = Object.fromEntries(Object.entries(days).filter(([date]) => !data[date]?.[repo]));
+      const filled = mergeBackfill(pending, repo, missing);
+      items.push({ repo, filled, skipped });
+      text += `\n🔗 ${repo}\n🗓 ${t("backfill.filled", { count: filled, skipped: skipped.join(", ") })}\n`;
+    } catch (e) {
+      console.warn(`⚠️  回填 ${repo} 失败:`, e.message);
+      items.push({ repo, error: e.message });
+      text += `\n🔗 ${repo}\n⚠️ ${t("backfill.failed", { message: e.message })}\n`;
+    }
+  }
 
-const openai = new OpenAI({
-  apiKey: API_KEY,
-  baseURL: API_BASE_URL
+  // 采集期间其他任务可能写入了新快照，只在锁内补充缺失的记录，不整体覆盖
+  if (!dryRun && Object.keys(pending).length > 0) fillData(pending);
+  return {
+    text,
+    report: { from, to, repos: items },
+    failures: items.filter(item => item.error)
+  };
+};
+
+// ========== 智能分析 ==========
+
+// 提示词的数据上下文：预先计算的摘要表格与趋势预测，不再放入完整历史
+// range 缺省时为截至最新快照的最近 ANALYSIS_DAYS 天；摘要与预测合计不超过 PROMPT_TOKEN_BUDGET
+const analysisContext = (data, repos = watchedRepos(), range = null) => {
+  const latest = Object.keys(data).sort().pop() || new Date().toISOString().split("T")[0];
+  const window = range || trailingRange(ANALYSIS_DAYS, latest);
+  const forecasts = formatForecasts(forecastRepos(data, repos, { asOf: window.to }), t);
+  const budget = Math.max(PROMPT_TOKEN_BUDGET - estimateTokens(forecasts), PROMPT_TOKEN_BUDGET / 2);
+  return { summary: summarizeData(data, repos, window, { budget, t }), forecasts };
+};
+
+// 模型通过工具查询精确数值，工具调用记录随结果返回
+const analyst = createAnalyst({
+  llm,
+  loadData: () => loadData(),
+  repos: watchedRepos,
+  maxIterations: ANALYST_MAX_ITERATIONS
+});
+
+const systemPromptFor = (channel) => (ANALYST_MAX_ITERATIONS > 0
+  ? `${prompts.system(channel)}\n\n${prompts.toolsGuide()}`
+  : prompts.system(channel));
+
+// 报告标题行，如【智能分析】
+const heading = (key) => `【${t(key)}】\n`;
+
+// 大模型全部不可用时的降级结果：只包含程序计算的统计摘要与趋势预测
+const statisticsOnly = (context, error) => ({
+  answer: `${t("analysis.fallback", { reason: error.message })}\n\n${context.summary}` +
+    (context.forecasts ? `\n\n${t("analysis.fallbackForecasts")}\n${context.forecasts}` : ""),
+  toolCalls: [],
+  iterations: 0,
+  exhausted: false,
+  usage: [],
+  fallback: true
 });
 
-const generateAnalysis = async (data, question = null) => {
+// 提问失败且原因是大模型不可用时退回统计摘要，其他错误照常抛出
+const askOrFallback = async (context, request) => {
+  try {
+    return await analyst.ask(request);
+  } catch (e) {
+    if (!(e instanceof LlmUnavailableError)) throw e;
+    console.warn(`⚠️  ${e.message}，改为输出统计摘要`);
+    return statisticsOnly(context, e);
+  }
+};
+
+// 返回 { answer, toolCalls, iterations, exhausted, usage, fallback }
+const generateAnalysis = async (context, question = null, { repos = watchedRepos(), job = "AI 分析" } = {}) => {
   // 使用 BMAD 风格的结构化提示词
-  const systemPrompt = SYSTEM_PROMPT_BASE;
-  const userPrompt = question 
-    ? createUserPrompt.withQuestion(data, question)
-    : createUserPrompt.comprehensive(data);
-
-  const completion = await openai.chat.completions.create({
-    model: API_MODEL,
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: userPrompt }
-    ]
-  });
+  const systemPrompt = systemPromptFor("analysis");
+  const userPrompt = prompts.user("analysis", context, question);
 
-  return completion.choices[0].message.content;
+  return askOrFallback(context, { systemPrompt, userPrompt, repos, job });
+};
+
+// 对区间内（含基线日）的数据进行智能分析
+const analysisJob = async (range, { repos = watchedRepos(), push = true } = {}) => {
+  const data = loadData({ repos });
+  const { answer: analysis, toolCalls, usage, fallback = false } =
+    await generateAnalysis(analysisContext(data, repos, range), null, { repos, job: "analysis" });
+  const text = heading("title.analysis") + analysis;
+  const report = { from: range.from, to: range.to, analysis, toolCalls, usage, fallback };
+  const notifications = push ? await notifier.notify(text, { report }) : [];
+  return { text, report, notifications };
+};
+
+// ========== MCP 资源与提示词 ==========
+
+// 根据已存储的数据生成日报（不采集）：date 当天与之前最近一次快照的差值
+const storedDailyReport = (date, repos = watchedRepos()) => {
+  const data = loadData();
+  const aggregate = aggregatePeriod(data, repos, { from: date, to: date });
+  // 当天没有快照或缺少基线的仓库不列出
+  const items = aggregate.repos.filter(item => item.status === "ok");
+  const model = dailyReportModel({ date, items, failures: [], orgs: ownerTotals(repos, items) }, data, t);
+  return { text: renderText(model, t), report: { date, repos: items }, model };
+};
+
+const latestSnapshotDate = () => {
+  const dates = Object.keys(loadData()).sort();
+  if (dates.length === 0) throw new Error("还没有任何数据");
+  return dates[dates.length - 1];
+};
+
+// 报告资源：period 为 latest 时，日报与周报以最新快照为准，月报与季报为上一个完整周期
+const readReportResource = ({ kind, period }) => {
+  const latest = period === "latest";
+  if (kind === "daily") {
+    const date = latest ? latestSnapshotDate() : period;
+    if (!isValidDate(date)) throw new Error(`无效的日期: ${period}`);
+    return storedDailyReport(date);
+  }
+  if (kind === "weekly") {
+    return weeklyJob(latest ? trailingRange(7, latestSnapshotDate()) : rangeFromLabel(period), { push: false });
+  }
+  return periodJob(kind, latest ? null : rangeFromLabel(period), { push: false });
+};
+
+const listResources = () => [
+  ...watchedRepos().map(repo => ({
+    uri: historyUri(repo),
+    name: t("mcp.history.name", { repo }),
+    description: t("mcp.history.description", { repo }),
+    mimeType: "application/json"
+  })),
+  ...REPORT_RESOURCE_KINDS.map(kind => ({
+    uri: reportUri(kind),
+    name: t("mcp.report.name", { title: t(`title.${kind}`) }),
+    description: t("mcp.report.description"),
+    mimeType: "text/markdown"
+  }))
+];
+
+const readResource = async (uri) => {
+  const resource = parseResourceUri(uri);
+  if (resource.type === "history") {
+    const history = repoHistory(loadData(), resource.repo);
+    if (history.length === 0) throw new Error(`没有 ${resource.repo} 的历史数据`);
+    return [{ uri, mimeType: "application/json", text: JSON.stringify(history, null, 2) }];
+  }
+  return reportContents(uri, await readReportResource(resource));
+};
+
+// MCP 提示词：与 AI 分析使用相同的模板（见 prompts.js），数据摘要按参数中的仓库与区间计算
+const PROMPT_ARGUMENTS = [
+  { name: "repos", description: t("mcp.arg.repos"), required: false },
+  { name: "period", description: t("mcp.arg.period", { days: ANALYSIS_DAYS }), required: false }
+];
+
+const MCP_PROMPTS = [
+  {
+    name: "repo_analysis",
+    description: t("mcp.prompt.repo_analysis"),
+    arguments: PROMPT_ARGUMENTS
+  },
+  {
+    name: "repo_question",
+    description: t("mcp.prompt.repo_question"),
+    arguments: [{ name: "question", description: t("mcp.arg.question"), required: true }, ...PROMPT_ARGUMENTS]
+  }
+];
+
+const getPrompt = (name, args = {}) => {
+  const prompt = MCP_PROMPTS.find(item => item.name === name);
+  if (!prompt) throw new Error(`未知的提示词: ${name}`);
+  if (name === "repo_question" && !args.question) throw new Error("repo_question 需要参数 question");
+
+  const repos = resolveRepoArgs(args.repos ? args.repos.split(",").map(repo => repo.trim()).filter(Boolean) : []);
+  const range = args.period ? parsePeriod(args.period) : null;
+  const context = analysisContext(loadData({ repos }), repos, range);
+  return {
+    description: prompt.description,
+    messages: [{
+      role: "user",
+      content: {
+        type: "text",
+        text: `${prompts.system("analysis")}\n\n---\n\n${prompts.user("analysis", context, args.question || null)}`
+      }
+    }]
+  };
 };
 
 // ========== MCP Server 实现 ==========
 
+// 查询工具的结果：JSON 文本，同时作为 structuredContent 返回
+const jsonResult = (value) => ({
+  content: [{ type: 'text', text: JSON.stringify(value, null, 2) }],
+  structuredContent: value
+});
+
+// 报告工具的结果：报告文本，报告数据作为 structuredContent 返回
+const reportResult = (text, report) => ({
+  content: [{ type: 'text', text }],
+  structuredContent: report
+});
+
 const createMcpServer = () => {
   const server = new Server(
     {
@@ -245,79 +690,54 @@ const createMcpServer = () => {
     {
       capabilities: {
         tools: {},
+        resources: { subscribe: true },
+        prompts: {},
       },
     }
   );
 
-  // 列出可用工具
-  server.setRequestHandler(ListToolsRequestSchema, async () => {
-    return {
-      tools: [
-        {
-          name: 'get_repo_data',
-          description: '获取 GitHub 仓库的历史数据',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              repo: {
-                type: 'string',
-                description: '仓库名称（可选，不提供则返回所有仓库数据）'
-              }
-            }
-          }
-        },
-        {
-          name: 'generate_daily_report',
-          description: '生成今日 GitHub 仓库活跃度报告',
-          inputSchema: {
-            type: 'object',
-            properties: {}
-          }
-        },
-        {
-          name: 'generate_weekly_report',
-          description: '生成本周 GitHub 仓库活跃度报告',
-          inputSchema: {
-            type: 'object',
-            properties: {}
-          }
-        },
-        {
-          name: 'ai_analysis',
-          description: '使用 AI 对仓库数据进行智能分析',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              question: {
-                type: 'string',
-                description: '要分析的具体问题（可选）'
-              }
-            }
-          }
-        },
-        {
-          name: 'send_feishu_message',
-          description: '发送消息到飞书群',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              message: {
-                type: 'string',
-                description: '要发送的消息内容'
-              }
-            },
-            required: ['message']
-          }
-        }
-      ]
-    };
+  // 订阅的资源在数据文件变化后通知客户端重新读取
+  const subscriptions = createSubscriptions({
+    file: dataFile,
+    onChange: (uris) => Promise.all(uris.map(uri => server.sendResourceUpdated({ uri })))
+      .catch(e => console.error(`⚠️  资源更新通知发送失败: ${e.message}`))
+  });
+  server.onclose = () => subscriptions.close();
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({ resources: listResources() }));
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: RESOURCE_TEMPLATES }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => ({
+    contents: await readResource(request.params.uri)
+  }));
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    // 订阅前确认资源存在
+    parseResourceUri(request.params.uri);
+    subscriptions.subscribe(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.unsubscribe(request.params.uri);
+    return {};
   });
 
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: MCP_PROMPTS }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) =>
+    getPrompt(request.params.name, request.params.arguments));
+
+  // 列出可用工具，参数定义见 mcp-tools.js
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: listTools() }));
+
   // 处理工具调用
   server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const { name, arguments: args } = request.params;
+    const { name } = request.params;
 
     try {
+      const args = parseToolArguments(name, request.params.arguments);
       switch (name) {
         case 'get_repo_data': {
           const data = loadData();
@@ -347,52 +767,109 @@ const createMcpServer = () => {
           };
         }
 
+        case 'get_metric_series':
+        case 'compare_repos':
+        case 'get_rankings':
+        case 'get_period_summary':
+          return jsonResult(createQueries(loadData(), watchedRepos(), { groups: watchlist.groups() })[name](args));
+
         case 'generate_daily_report': {
-          const report = await dailyJob();
-          return {
-            content: [
-              {
-                type: 'text',
-                text: report
-              }
-            ]
-          };
+          const { text, report } = await dailyJob({
+            repos: args.repos?.length ? resolveRepoArgs(args.repos) : null,
+            date: args.date,
+            dryRun: args.dryRun,
+            push: args.dryRun ? false : DAILY_PUSH
+          });
+          return reportResult(text, report);
         }
 
         case 'generate_weekly_report': {
-          const report = await weeklyJob();
+          const range = trailingRange(7, args.date);
+          const { text, report } = await weeklyJob(range, { repos: resolveRepoArgs(args.repos || []), push: !args.dryRun });
+          return reportResult(text, report);
+        }
+
+        case 'generate_period_report': {
+          const range = resolvePeriodRange(args.kind, { label: args.period, from: args.from, to: args.to }) ||
+            (args.date ? previousPeriodRange(PERIOD_REPORTS[args.kind].period, args.date) : null);
+          const { text, report } = await periodJob(args.kind, range, { repos: resolveRepoArgs(args.repos || []), push: false });
+          return reportResult(text, report);
+        }
+
+        case 'forecast_repos': {
+          const forecasts = forecastRepos(loadData(), resolveRepoArgs(args.repos || []), {
+            metric: args.metric || "stars",
+            horizons: args.horizons?.length ? args.horizons : DEFAULT_HORIZONS,
+            milestones: args.milestones?.length ? args.milestones : null,
+            window: args.window || DEFAULT_WINDOW
+          });
           return {
             content: [
               {
                 type: 'text',
-                text: report
+                text: heading("title.forecast") + formatForecasts(forecasts, t)
+              },
+              {
+                type: 'text',
+                text: JSON.stringify(forecasts, null, 2)
               }
             ]
           };
         }
 
+        case 'watchlist_list': {
+          const { text, report } = await watchAction("list", { tags: args.group ? [args.group] : [] });
+          return reportResult(text, report);
+        }
+
+        case 'watchlist_add': {
+          const { text, report } = await watchAction("add", { repos: args.repos, tags: args.tags, filters: pickFilters(args) });
+          return reportResult(text, report);
+        }
+
+        case 'watchlist_remove': {
+          const { text, report } = await watchAction("remove", { repos: args.repos });
+          return reportResult(text, report);
+        }
+
+        case 'watchlist_tag': {
+          const { text, report } = await watchAction("tag", { repos: args.repos, tags: args.add, untags: args.remove });
+          return reportResult(text, report);
+        }
+
+        case 'watchlist_discover': {
+          const { text, report } = await watchAction("discover");
+          return reportResult(text, report);
+        }
+
         case 'ai_analysis': {
-          const data = loadData();
-          const analysis = await generateAnalysis(data, args.question);
+          const { answer, toolCalls } = await generateAnalysis(analysisContext(loadData()), args.question, { job: "ai_analysis" });
           return {
             content: [
               {
                 type: 'text',
-                text: analysis
+                text: answer
+              },
+              {
+                type: 'text',
+                text: formatToolCalls(toolCalls)
               }
             ]
           };
         }
 
+        case 'send_notification':
         case 'send_feishu_message': {
-          await sendFeishuMessage(args.message);
+          const channels = name === 'send_feishu_message' ? ['feishu'] : args.channels;
+          const results = await notifier.notify(args.message, { channels });
           return {
             content: [
               {
                 type: 'text',
-                text: '消息已成功发送到飞书群'
+                text: formatNotifications(results)
               }
-            ]
+            ],
+            isError: results.length === 0 || results.some(result => !result.ok)
           };
         }
 
@@ -415,13 +892,171 @@ const createMcpServer = () => {
   return server;
 };
 
+// ========== 飞书机器人 ==========
+
+// 按 Webhook 提示词回答群聊中的问题，没有问题时进行综合分析
+const answerQuestion = async (question) => {
+  const context = analysisContext(loadData());
+  const { answer } = await askOrFallback(context, {
+    systemPrompt: systemPromptFor("webhook"),
+    userPrompt: prompts.user("webhook", context, question || null),
+    job: "feishu-ask"
+  });
+  return answer;
+};
+
+// 命令中的仓库参数：owner/name、监控中仓库的名称部分或 #分组；缺省为全部监控的仓库
+const resolveRepoArgs = (args) => watchlist.select(args);
+
+// ========== 监控列表 ==========
+
+const WATCH_ACTIONS = ["list", "add", "remove", "tag", "untag", "discover"];
+const DISCOVERY_FILTER_KEYS = ["include", "exclude", "minStars", "forks", "archived"];
+
+// 参数中发现规则的筛选条件，都没有提供时为 null
+const pickFilters = (source) => {
+  const filters = Object.fromEntries(DISCOVERY_FILTER_KEYS
+    .filter(key => source[key] !== undefined && source[key] !== null)
+    .map(key => [key, source[key]]));
+  return Object.keys(filters).length > 0 ? filters : null;
+};
+
+/**
+ * 查看或修改监控列表，命令行、飞书、MCP 与 HTTP 共用
+ * repos 可以是 owner/name 或发现规则（org:x、topic:llm org:x）
+ * list 时 tags[0] 为要查看的分组；add 时 tags 为新仓库的标签，filters 为发现规则的筛选条件；
+ * tag / untag 为仓库添加、移除 tags，tag 时可同时用 untags 移除标签；discover 立即重新解析发现规则
+ */
+const watchAction = async (action, { repos = [], tags = [], untags = [], filters = null } = {}) => {
+  if (!WATCH_ACTIONS.includes(action)) {
+    throw new WatchlistError(t("watch.unknownAction", { action, actions: WATCH_ACTIONS.join(", ") }));
+  }
+  if (action === "list") {
+    const group = tags[0]?.replace(/^#/, "") || null;
+    const entries = watchlist.list(group);
+    const targets = watchlist.targets().filter(target => !group || target.tags.includes(group));
+    return {
+      text: formatWatchlist(entries, targets, t),
+      report: { repos: entries, targets, groups: watchlist.groups() }
+    };
+  }
+  if (action === "discover") {
+    if (watchlist.targets().length === 0) throw new WatchlistError(t("watch.noTargets"));
+    const { repos: watched, discovery, failures } = await discoverWatched();
+    const lines = [
+      ...discovery.map(item => "🔍 " + t("watch.discovered", { ...item, added: item.added.join(", "), removed: item.removed.join(", ") })),
+      ...failures.map(failure => "⚠️ " + t("watch.discoverFailed", { spec: failure.repo, message: failure.message })),
+      "📋 " + t("watch.total", { count: watched.length })
+    ];
+    return { text: lines.join("\n"), report: { repos: watched, discovery, failures } };
+  }
+  if (repos.length === 0) throw new WatchlistError(t("watch.reposRequired", { action }));
+
+  if (action === "add") {
+    const { added, updated } = watchlist.add(repos, tags, filters);
+    const addedRepos = added.filter(name => !isDiscoveryTarget(name));
+    const lines = [
+      added.length > 0 && "✅ " + t("watch.added", { repos: added.join(", ") }),
+      updated.length > 0 && "🏷️ " + t("watch.updated", { repos: updated.join(", ") }),
+      added.length === 0 && updated.length === 0 && "ℹ️ " + t("watch.unchanged"),
+      addedRepos.length > 0 && "💡 " + t("watch.backfillHint", { repos: addedRepos.join(",") }),
+      added.length > addedRepos.length && "💡 " + t("watch.discoverHint")
+    ];
+    return { text: lines.filter(Boolean).join("\n"), report: { added, updated } };
+  }
+  if (action === "remove") {
+    const { removed, missing } = watchlist.remove(repos);
+    // 由发现规则发现的仓库需要在规则中排除
+    const sources = Object.fromEntries(watchlist.list()
+      .filter(entry => entry.discoveredBy && missing.includes(entry.repo))
+      .map(entry => [entry.repo, entry.discoveredBy]));
+    const lines = [
+      removed.length > 0 && "✅ " + t("watch.removed", { repos: removed.join(", ") }),
+      ...missing.map(name => "ℹ️ " + (sources[name]
+        ? t("watch.excludeHint", { repo: name, source: sources[name] })
+        : t("watch.notWatched", { repo: name })))
+    ];
+    return { text: lines.filter(Boolean).join("\n"), report: { removed, missing } };
+  }
+
+  if (tags.length === 0 && untags.length === 0) throw new WatchlistError(t("watch.tagsRequired", { action }));
+  const updated = watchlist.updateTags(repos, action === "tag" ? { add: tags, remove: untags } : { remove: tags });
+  return {
+    text: `🏷️ ${t("watch.tagsUpdated")}\n` + updated
+      .map(item => "- " + t("watch.tagLine", { repo: item.repo, tags: item.tags.map(tag => GROUP_PREFIX + tag).join(" ") || t("watch.noTags") }))
+      .join("\n"),
+    report: { repos: updated }
+  };
+};
+
+// 可以在飞书中修改监控列表的用户（open_id），其他人的 /watch 只能查看
+const FEISHU_ADMINS = new Set((process.env.FEISHU_ADMIN_OPEN_IDS || "").split(",").map(id => id.trim()).filter(Boolean));
+
+const feishuBot = createFeishuBot({
+  appId: process.env.FEISHU_APP_ID,
+  appSecret: process.env.FEISHU_APP_SECRET,
+  verificationToken: process.env.FEISHU_VERIFICATION_TOKEN || null,
+  encryptKey: process.env.FEISHU_ENCRYPT_KEY || null,
+  baseUrl: process.env.FEISHU_BASE_URL || undefined,
+  t,
+  commands: {
+    daily: {
+      usage: t("feishu.daily.usage"),
+      description: t("feishu.daily.description"),
+      run: ({ args }) => dailyJob({ repos: args.length > 0 ? resolveRepoArgs(args) : null, dryRun: true, push: false })
+    },
+    weekly: {
+      usage: t("feishu.weekly.usage"),
+      description: t("feishu.weekly.description"),
+      run: ({ args }) => weeklyJob(trailingRange(7), { repos: resolveRepoArgs(args), push: false })
+    },
+    monthly: {
+      usage: t("feishu.monthly.usage"),
+      description: t("feishu.monthly.description"),
+      run: ({ args }) => {
+        const [label, ...repos] = /^\d{4}-\d{2}$/.test(args[0] || "") ? args : [undefined, ...args];
+        return periodJob("monthly", resolvePeriodRange("monthly", { label }), { repos: resolveRepoArgs(repos), push: false });
+      }
+    },
+    watch: {
+      usage: t("feishu.watch.usage"),
+      description: t("feishu.watch.description"),
+      run: async ({ args, event }) => {
+        const [action = "list", ...rest] = args;
+        if (action !== "list" && !FEISHU_ADMINS.has(event.sender?.sender_id?.open_id)) {
+          return { text: `🔒 ${t("feishu.watch.denied")}` };
+        }
+        // org: / user: / topic: 限定符合并为一条发现规则
+        const qualifiers = rest.filter(isDiscoveryTarget);
+        return watchAction(action, {
+          repos: [
+            ...rest.filter(arg => !arg.startsWith(GROUP_PREFIX) && !isDiscoveryTarget(arg)),
+            ...(qualifiers.length > 0 ? [qualifiers.join(" ")] : [])
+          ],
+          tags: rest.filter(arg => arg.startsWith(GROUP_PREFIX))
+        });
+      }
+    },
+    ask: {
+      usage: t("feishu.ask.usage"),
+      description: t("feishu.ask.description"),
+      run: async ({ text }) => ({ text: heading("title.analysis") + await answerQuestion(text) })
+    }
+  }
+});
+
 // ========== SSE Server 实现 ==========
 
 const createSseServer = () => {
   const app = express();
-  app.use(express.json());
+  // 保留原始请求体，用于校验飞书事件签名
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+
+  // 远程 MCP：Streamable HTTP（/mcp）与旧版 SSE（/sse、/messages），与 mcp-server 提供相同的工具、资源与提示词
+  const mcpConfig = loadMcpHttpConfig();
+  const mcp = mountMcpTransports(app, { createServer: createMcpServer, ...mcpConfig });
 
-  // SSE 实时流式分析
+  // SSE 实时流式分析（一次性的分析结果流，不是 MCP 端点）
   app.get("/mcp-sse", async (req, res) => {
     res.set({
       "Content-Type": "text/event-stream",
@@ -439,22 +1074,21 @@ const createSseServer = () => {
       const data = loadData();
 
       // 使用 BMAD 风格的结构化提示词（SSE 版本）
-      const systemPrompt = SYSTEM_PROMPT_SSE;
-      const userPrompt = createUserPrompt.sse(data);
-
-      const completion = await openai.chat.completions.create({
-        model: API_MODEL,
-        stream: true,
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt }
-        ]
-      });
+      const systemPrompt = prompts.system("sse");
+      const context = analysisContext(data);
+      const userPrompt = prompts.user("sse", context);
 
+      const tracker = llm.createTracker("sse");
       let analysis = "";
-      for await (const chunk of completion) {
-        const content = chunk.choices?.[0]?.delta?.content || "";
-        if (content) {
+      try {
+        const stream = llm.stream({
+          messages: [
+            { role: "system", content: systemPrompt },
+            { role: "user", content: userPrompt }
+          ],
+          tracker
+        });
+        for await (const content of stream) {
           analysis += content;
           const eventData = JSON.stringify({
             type: "content",
@@ -463,14 +1097,24 @@ const createSseServer = () => {
           });
           res.write(`data: ${eventData}\n\n`);
         }
+      } catch (e) {
+        if (!(e instanceof LlmUnavailableError)) throw e;
+        // 大模型不可用：整段发送统计摘要
+        analysis = statisticsOnly(context, e).answer;
+        res.write(`data: ${JSON.stringify({ type: "fallback", reason: e.message, content: analysis })}\n\n`);
+      } finally {
+        tracker.log();
       }
 
       // 发送完成事件
       res.write(`data: {"type": "done", "analysis": ${JSON.stringify(analysis)}}\n\n`);
-      res.write("event: end\ndata: [DONE]\n\n");
 
-      // 飞书推送
-      await sendFeishuMessage(`【智能分析】\n${analysis}`);
+      // 推送到通知渠道，?push=false 时跳过
+      if (req.query.push !== "false") {
+        const results = await notifier.notify(heading("title.analysis") + analysis, { report: { analysis } });
+        res.write(`data: ${JSON.stringify({ type: "notifications", results })}\n\n`);
+      }
+      res.write("event: end\ndata: [DONE]\n\n");
 
     } catch (error) {
       const errorData = JSON.stringify({
@@ -483,45 +1127,80 @@ const createSseServer = () => {
     }
   });
 
-  // 兼容原有 webhook 入口
-  app.post("/feishu-webhook", async (req, res) => {
-    try {
-      const text = req.body.event.message.text;
-      console.log("🔔 飞书问题：", text);
-
-      const data = loadData();
-
-      // 使用 BMAD 风格的结构化提示词（Webhook 版本）
-      const systemPrompt = SYSTEM_PROMPT_WEBHOOK;
-      const userPrompt = text
-        ? createUserPrompt.webhookWithQuestion(data, text)
-        : createUserPrompt.webhookComprehensive(data);
-
-      const completion = await openai.chat.completions.create({
-        model: API_MODEL,
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt }
-        ]
-      });
-
-      const analysis = completion.choices[0].message.content;
+  // 飞书事件订阅（机器人收到消息时回复）
+  app.post("/feishu-webhook", feishuBot.handleEvent);
 
-      // 飞书推送
-      await sendFeishuMessage(`【智能分析】\n${analysis}`);
-
-      res.json({ success: true, message: "分析完成并已推送到飞书" });
+  // 周期报告：/reports/monthly?period=2025-06、/reports/custom?from=2025-06-01&to=2025-08-31
+  // repos=a/b,c/d 或 group=rag 限定仓库
+  app.get("/reports/:kind", async (req, res) => {
+    if (!PERIOD_REPORTS[req.params.kind]) {
+      return res.status(404).json({ error: `Unknown report kind: ${req.params.kind}` });
+    }
+    let range;
+    let repos;
+    try {
+      const { period, from, to } = req.query;
+      range = resolvePeriodRange(req.params.kind, { label: period, from, to });
+      repos = resolveRepoArgs([
+        ...(req.query.repos ? String(req.query.repos).split(",").map(repo => repo.trim()).filter(Boolean) : []),
+        ...(req.query.group ? [GROUP_PREFIX + req.query.group] : [])
+      ]);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    try {
+      const { report, text } = await periodJob(req.params.kind, range, { repos, push: false });
+      res.json({ report, text });
     } catch (err) {
       console.error(err);
       res.status(500).json({ error: "Internal Server Error" });
     }
   });
 
+  // 监控列表：GET 查看（?group=rag），POST 添加 { repos, tags, include, exclude, minStars, forks, archived }，
+  // PATCH 增删标签 { add, remove }，DELETE 移出（发现规则用 DELETE /watchlist { repos }）
+  // 设置 MCP_AUTH_TOKEN 后，修改需要 Authorization: Bearer <token>
+  // 修改监控列表必须配置 MCP_AUTH_TOKEN，未配置时只读
+  const watchRoute = (handler) => async (req, res) => {
+    if (req.method !== "GET" && !mcpConfig.authToken) {
+      return res.status(403).json({ error: "Watchlist changes require MCP_AUTH_TOKEN" });
+    }
+    if (req.method !== "GET" && !isAuthorized(req, mcpConfig.authToken)) {
+      res.set("WWW-Authenticate", "Bearer");
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    try {
+      res.json((await handler(req)).report);
+    } catch (err) {
+      if (!(err instanceof WatchlistError)) {
+        console.error(err);
+        return res.status(500).json({ error: "Internal Server Error" });
+      }
+      res.status(400).json({ error: err.message });
+    }
+  };
+  const routeRepo = (req) => [`${req.params.owner}/${req.params.name}`];
+
+  app.get("/watchlist", watchRoute(req => watchAction("list", { tags: req.query.group ? [String(req.query.group)] : [] })));
+  app.post("/watchlist", watchRoute(req => watchAction("add", {
+    repos: [].concat(req.body?.repos || []),
+    tags: [].concat(req.body?.tags || []),
+    filters: pickFilters(req.body || {})
+  })));
+  app.delete("/watchlist", watchRoute(req => watchAction("remove", { repos: [].concat(req.body?.repos || []) })));
+  app.patch("/watchlist/:owner/:name", watchRoute(req => watchAction("tag", {
+    repos: routeRepo(req),
+    tags: [].concat(req.body?.add || []),
+    untags: [].concat(req.body?.remove || [])
+  })));
+  app.delete("/watchlist/:owner/:name", watchRoute(req => watchAction("remove", { repos: routeRepo(req) })));
+
   // 健康检查
   app.get("/health", (req, res) => {
     res.json({
       status: "ok",
       service: "starReport MCP Server",
+      mcpSessions: mcp.stats(),
       timestamp: new Date().toISOString()
     });
   });
@@ -529,77 +1208,288 @@ const createSseServer = () => {
   return app;
 };
 
+// ========== 健康检查 ==========
+
+const healthCheck = async () => {
+  const checks = [];
+  const add = (key, status, message) => checks.push({ name: t(`health.${key}`), status, message });
+
+  try {
+    const watched = watchedRepos();
+    const targets = watchlist.targets();
+    const source = watchlist.source() === "file" ? t("health.watchlistFile", { file: watchlist.file }) : "REPORT_REPOS";
+    add("repos", watched.length > 0 || targets.length > 0 ? "ok" : "error",
+      watched.length > 0 || targets.length > 0
+        ? t("health.reposSummary", { count: watched.length, rules: targets.length, source })
+        : t("health.reposEmpty"));
+  } catch (e) {
+    add("repos", "error", e.message);
+  }
+
+  try {
+    const result = getStorage().verify();
+    add("storage", result.ok ? "ok" : "error", result.ok ? `${storageConfig.type}: ${dataFile()}` : result.error);
+  } catch (e) {
+    add("storage", "error", e.message);
+  }
+
+  try {
+    const { data } = await github.request("/rate_limit", { cache: false });
+    const { core, graphql } = data.resources;
+    add("github", GITHUB_TOKEN ? "ok" : "warn", t("health.rateLimit", {
+      core: `${core.remaining}/${core.limit}`,
+      graphql: `${graphql?.remaining ?? "-"}/${graphql?.limit ?? "-"}`,
+      token: Boolean(GITHUB_TOKEN)
+    }));
+  } catch (e) {
+    add("github", "error", e.message);
+  }
+
+  add("notifiers", notifier.channels.length > 0 ? "ok" : "warn",
+    notifier.channels.length > 0 ? notifier.channels.join(", ") : t("health.notifiersEmpty"));
+  if (ALERTS_ENABLED) {
+    try {
+      const config = loadAlertConfig(ALERT_RULES_FILE);
+      add("alerts", "ok", t("health.alertRules", {
+        file: fs.existsSync(ALERT_RULES_FILE) ? ALERT_RULES_FILE : t("health.defaultRules"),
+        repos: Object.keys(config.repos).length,
+        hours: config.cooldownHours
+      }));
+    } catch (e) {
+      add("alerts", "error", e.message);
+    }
+  } else {
+    add("alerts", "warn", t("health.alertsDisabled"));
+  }
+  add("templates", "ok", t("health.templateInfo", { lang: templates.lang, dir: templates.dir }));
+  if (llm.configError) {
+    add("llm", "error", llm.configError);
+  } else {
+    add("llm", llm.providers.length > 0 ? "ok" : "warn", llm.providers.length > 0
+      ? llm.providers.join(" → ")
+      : t("health.llmEmpty"));
+  }
+
+  const icons = { ok: "✅", warn: "⚠️", error: "❌" };
+  const text = heading("title.health") + checks.map(check => `${icons[check.status]} ` + t("health.line", check)).join("\n") + "\n";
+  return { text, report: { checks }, ok: checks.every(check => check.status !== "error") };
+};
+
 // ========== 主程序 ==========
 
-const taskType = process.argv[2] || "daily";
+const run = async (argv) => {
+  const { command, helpFor, positionals, options } = parseCli(argv);
+
+  if (command === "help") {
+    console.log(formatHelp(helpFor));
+    return EXIT_CODES.OK;
+  }
+
+  // MCP Server 通过 stdout 通信，日志改为输出到 stderr
+  if (command === "mcp-server") {
+    console.log = console.error;
+  }
+
+  if (options.storage) storageConfig.type = options.storage;
+  if (options.dataFile) storageConfig.path = options.dataFile;
+  // --repos 优先，其次 --group 指定的分组；都没有指定时为 undefined，各任务使用监控列表（日报重新解析发现规则）
+  // 定时任务每次运行时重新读取
+  const selectRepos = () => {
+    if (options.repos) return options.repos;
+    if (!options.group) return undefined;
+    try {
+      return watchlist.select(options.group.map(group => GROUP_PREFIX + group.replace(/^#/, "")));
+    } catch (e) {
+      if (e instanceof WatchlistError) throw new UsageError(e.message, command);
+      throw e;
+    }
+  };
+  const push = options.push ?? true;
+  const print = (result) => console.log(formatOutput(result, options.format));
+  // 报告已生成但有渠道推送失败时返回 NOTIFY_FAILED
+  const pushExitCode = (...results) => (results.some(result => result.notifications.some(notification => !notification.ok))
+    ? EXIT_CODES.NOTIFY_FAILED
+    : EXIT_CODES.OK);
+
+  if (command === "migrate") {
+    // 迁移历史数据：node index.js migrate json:data.json sqlite:data.db
+    if (positionals.length !== 2) {
+      throw new UsageError(t("usage.migrateTargets"), command);
+    }
+    const source = createStorage(parseStorageSpec(positionals[0]));
+    const target = createStorage(parseStorageSpec(positionals[1]));
+    const { dates, records } = migrateStorage(source, target);
+    source.close();
+    target.close();
+    console.log(`✅ 已迁移 ${dates} 天、${records} 条快照：${source.type}:${source.path} → ${target.type}:${target.path}`);
+    return EXIT_CODES.OK;
+  }
+
+  if (command === "watch") {
+    // node index.js watch add owner/name --tags rag、node index.js watch add "topic:llm org:datawhalechina" --min-stars 10
+    const [action = "list", ...names] = positionals;
+    let result;
+    try {
+      result = await watchAction(action, {
+        repos: names,
+        tags: action === "list" ? options.group || [] : options.tags,
+        filters: pickFilters(options)
+      });
+    } catch (e) {
+      if (e instanceof WatchlistError) throw new UsageError(e.message, command);
+      throw e;
+    }
+    print(result);
+    return result.report.failures?.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+  }
 
-const run = async () => {
   // 启动时检查文件系统访问权限
   const hasFileAccess = checkFileSystemAccess();
   if (!hasFileAccess) {
     console.warn("⚠️  文件系统只读，将使用内存存储模式");
-    console.log(`📁 尝试的数据文件路径: ${DATA_FILE}`);
-    console.log("💡 可通过环境变量 DATA_FILE 指定可写路径");
+    console.log(`📁 尝试的数据文件路径: ${dataFile()}`);
+    console.log("💡 可通过环境变量 DATA_FILE 或 --data-file 指定可写路径");
   } else {
-    console.log(`📁 数据文件路径: ${DATA_FILE}`);
-  }
-
-  if (taskType === "daily") {
-    await dailyJob();
-  } else if (taskType === "weekly") {
-    await weeklyJob();
-  } else if (taskType === "analysis") {
-    await weeklyJob();
-    const data = loadData();
-    // 只获取最近一周的数据
-    const dates = Object.keys(data).sort().reverse().slice(0, 7);
-    const weeklyData = {};
-    dates.forEach(date => {
-      if (data[date]) {
-        weeklyData[date] = data[date];
-      }
-    });
+    console.log(`📁 数据文件路径: ${dataFile()}`);
+  }
+
+  if (command === "health-check") {
+    const result = await healthCheck();
+    print(result);
+    return result.ok ? EXIT_CODES.OK : EXIT_CODES.ERROR;
+  }
+
+  if (!verifyStorage()) {
+    return EXIT_CODES.DATA_CORRUPTED;
+  }
+
+  const repos = selectRepos() ?? watchedRepos();
+  const hasTargets = repos.length > 0 || (!options.repos && !options.group && watchlist.targets().length > 0);
+  if (command !== "mcp-server" && command !== "sse-server" && !hasTargets) {
+    throw new UsageError(t("usage.noRepos"), command);
+  }
+
+  if (command === "daily") {
+    if (options.date && !isValidDate(options.date)) {
+      throw new UsageError(t("usage.invalidDate", { date: options.date }), command);
+    }
+    const result = await dailyJob({ repos: selectRepos(), date: options.date, dryRun: options.dryRun, push: options.push ?? DAILY_PUSH });
+    print(result);
+    return result.report.failures.length > 0 ? EXIT_CODES.PARTIAL : pushExitCode(result, result.alerts);
+  } else if (command === "weekly") {
+    // node index.js weekly [2025-W23 | 2025-06-01 2025-06-07]
+    const result = await weeklyJob(resolveRange(positionals, command), { repos, push });
+    print(result);
+    return pushExitCode(result);
+  } else if (command === "analysis") {
+    const range = resolveRange(positionals, command);
+    const weekly = await weeklyJob(range, { repos, push });
+    print(weekly);
+    const analysis = await analysisJob(range, { repos, push });
+    print(analysis);
+    return pushExitCode(weekly, analysis);
+  } else if (command === "monthly" || command === "quarterly") {
+    // node index.js monthly [2025-06]、node index.js quarterly [2025-Q2]
+    const range = resolvePeriodRange(command, { label: positionals[0] }, command);
+    const result = await periodJob(command, range, { repos, push });
+    print(result);
+    return pushExitCode(result);
+  } else if (command === "report") {
+    // node index.js report --from 2025-06-01 --to 2025-08-31
+    const range = resolvePeriodRange("custom", { from: options.from, to: options.to }, command);
+    const result = await periodJob("custom", range, { repos, push });
+    print(result);
+    return pushExitCode(result);
+  } else if (command === "backfill") {
+    // 回填历史数据：node index.js backfill [--from YYYY-MM-DD]（兼容 backfill YYYY-MM-DD）
+    const from = options.from || positionals[0] || null;
+    if (from && !isValidDate(from)) {
+      throw new UsageError(t("usage.invalidDate", { date: from }), command);
+    }
+    const result = await backfillJob({ from, repos, dryRun: options.dryRun });
+    print(result);
+    return result.failures.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+  } else if (command === "scheduler") {
+    // 常驻运行，按 SCHEDULE_* 配置定时执行任务
+    const config = loadScheduleConfig();
+    if (config.jobs.length === 0) {
+      throw new UsageError(t("usage.noScheduledJobs"), command);
+    }
+    const scheduler = createScheduler({ ...config, runners: createScheduledRunners(selectRepos) });
+    scheduler.start();
+    console.log(`🚀 定时任务已启动，状态文件：${config.stateFile}`);
 
-    const analysis = await generateAnalysis(weeklyData);
-    await sendFeishuMessage(`【智能分析】\n${analysis}`);
-    console.log("【智能分析】\n" + analysis);
-  } else if (taskType === "mcp-server") {
+    const shutdown = async (signal) => {
+      console.log(`🛑 收到 ${signal}，等待正在执行的任务结束后退出`);
+      await scheduler.stop();
+    };
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
+  } else if (command === "mcp-server") {
     // MCP Server 通过 stdio 运行
     const server = createMcpServer();
     const transport = new StdioServerTransport();
     await server.connect(transport);
     console.log("🚀 MCP Server 已启动 (stdio)");
-  } else if (taskType === "sse-server") {
+  } else if (command === "sse-server") {
     // SSE Server 通过 HTTP 运行
     const app = createSseServer();
-    const port = process.env.PORT || 3001;
+    const port = options.port || process.env.PORT || 3001;
     app.listen(port, () => {
       console.log(`🚀 SSE Server 已启动：http://localhost:${port}`);
+      console.log(`🧩 MCP (Streamable HTTP)：http://localhost:${port}${MCP_PATHS.streamable}`);
+      console.log(`🧩 MCP (SSE，旧版客户端)：http://localhost:${port}${MCP_PATHS.sse}`);
       console.log(`📊 实时分析：http://localhost:${port}/mcp-sse`);
       console.log(`🔔 Webhook：http://localhost:${port}/feishu-webhook`);
     });
-  } else {
-    console.log("可用的任务类型：daily, weekly, analysis, mcp-server, sse-server");
   }
+  return EXIT_CODES.OK;
 };
 
-// ========== 定时任务启动 ==========
-
-if (taskType === "daily" || taskType === "weekly") {
-  // // 每天早上 9 点执行日报（东八区）
-  // schedule.scheduleJob("0 9 * * *", async () => {
-  //   console.log("执行每日任务...");
-  //   await dailyJob();
-  // });
+// ========== 定时任务 ==========
 
-  // // 每周三 20:00 执行周报（东八区）
-  // schedule.scheduleJob("0 20 * * 3", async () => {
-  //   console.log("执行周报任务...");
-  //   await weeklyJob();
-  // });
+// 各定时任务的执行内容；补跑时报告区间按计划执行的日期计算
+// 仓库在每次运行时由 selectRepos() 读取，返回 undefined 时使用监控列表
+const createScheduledRunners = (selectRepos) => {
+  const dateOf = (scheduledAt) => scheduledAt.toISOString().split("T")[0];
+  // 推送失败的渠道计入本次运行的失败项
+  const pushFailures = (...results) => ({
+    failures: results.flatMap(result => result.notifications.filter(notification => !notification.ok))
+  });
+  return {
+    daily: async () => {
+      const { report, notifications, alerts } = await dailyJob({ repos: selectRepos() });
+      return {
+        failures: [...report.failures, ...[...notifications, ...alerts.notifications].filter(notification => !notification.ok)]
+      };
+    },
+    weekly: async (scheduledAt) => pushFailures(await weeklyJob(trailingRange(7, dateOf(scheduledAt)), { repos: selectRepos() })),
+    monthly: async (scheduledAt) =>
+      pushFailures(await periodJob("monthly", previousPeriodRange("month", dateOf(scheduledAt)), { repos: selectRepos() })),
+    quarterly: async (scheduledAt) =>
+      pushFailures(await periodJob("quarterly", previousPeriodRange("quarter", dateOf(scheduledAt)), { repos: selectRepos() })),
+    analysis: async (scheduledAt) => {
+      const range = trailingRange(7, dateOf(scheduledAt));
+      const repos = selectRepos();
+      const weekly = await weeklyJob(range, { repos });
+      return pushFailures(weekly, await analysisJob(range, { repos }));
+    }
+  };
+};
 
-  // console.log("GitHub 监控服务已启动...");
-  run();
-} else {
-  run();
-}
+// ========== 启动 ==========
+
+run(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}\n`);
+      console.error(formatHelp(error.command));
+      process.exitCode = EXIT_CODES.USAGE;
+      return;
+    }
+    console.error("❌ 运行失败：", error);
+    process.exitCode = error instanceof DataCorruptionError ? EXIT_CODES.DATA_CORRUPTED : EXIT_CODES.ERROR;
+  });
\ No newline at end of file
@@ -0,0 +1,481 @@
+/**
+ * 大模型调用
+ *
+ * 支持多个提供方，按顺序组成降级链：某个提供方失败（超时、限流、服务异常、鉴权失败等）时自动切换到下一个。
+ * - openai：OpenAI 及兼容接口（智谱、DeepSeek 等），使用 API_KEY / API_BASE_URL / API_MODEL
+ * - anthropic：Anthropic Messages API
+ * - ollama：本地 Ollama 服务（通过其 OpenAI 兼容接口）
+ *
+ * 客户端在第一次调用时才创建，不需要大模型的任务（如 daily）不会因为缺少配置而失败。
+ * 每次请求有超时限制，网络错误、408/429/5xx 会按指数退避重试；所有提供方都不可用时抛出 LlmUnavailableError，
+ * 调用方据此退回只包含统计数据的报告。
+ *
+ * 消息统一使用 OpenAI Chat Completions 的格式（含 tool_calls / tool 消息），由各提供方自行转换。
+ */
+import fs from "fs";
+import OpenAI from "openai";
+import fetch from "node-fetch";
+import { estimateTokens } from "./summary.js";
+
+const LLM_PROVIDER_TYPES = ["openai", "anthropic", "ollama"];
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_ANTHROPIC_MODEL = "claude-sonnet-4-20250514";
+const DEFAULT_ANTHROPIC_MAX_TOKENS = 4096;
+const ANTHROPIC_VERSION = "2023-06-01";
+
+const TRANSIENT_STATUS = [408, 409, 429, 500, 502, 503, 504, 529];
+const TRANSIENT_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE"];
+
+class LlmUnavailableError extends Error {
+  constructor(message, attempts = []) {
+    super(message);
+    this.name = "LlmUnavailableError";
+    this.attempts = attempts;
+  }
+}
+
+// 带 HTTP 状态码的请求错误（fetch 实现的提供方使用）
+class LlmRequestError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = "LlmRequestError";
+    this.status = status;
+  }
+}
+
+// 超时、连接失败、限流与服务端错误可以重试；鉴权、参数错误等直接切换到下一个提供方
+const isTransient = (error) => error.name === "AbortError" ||
+  error.name === "APIConnectionError" ||
+  error.name === "APIConnectionTimeoutError" ||
+  TRANSIENT_STATUS.includes(error.status) ||
+  TRANSIENT_CODES.includes(error.code);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 流式接口未返回用量时按文本估算
+const estimateUsage = (messages, output) => ({
+  input: estimateTokens(messages.map(message => message.content || "").join("\n")),
+  output: estimateTokens(output),
+  estimated: true
+});
+
+// ========== 提供方 ==========
+
+// OpenAI 兼容接口；重试由降级链统一处理，SDK 自身不重试
+const openaiProvider = ({ apiKey, baseURL, model }) => {
+  let client = null;
+  const getClient = () => {
+    client = client || new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+    return client;
+  };
+
+  return {
+    chat: async ({ messages, tools, toolChoice, timeout }) => {
+      const completion = await getClient().chat.completions.create({
+        model,
+        messages,
+        ...(tools && { tools, tool_choice: toolChoice })
+      }, { timeout });
+      const { message } = completion.choices[0];
+      return {
+        message: {
+          role: "assistant",
+          content: message.content ?? null,
+          ...(message.tool_calls?.length && { tool_calls: message.tool_calls })
+        },
+        usage: completion.usage
+          ? { input: completion.usage.prompt_tokens ?? 0, output: completion.usage.completion_tokens ?? 0 }
+          : estimateUsage(messages, message.content || "")
+      };
+    },
+
+    stream: async function* ({ messages, timeout, onUsage }) {
+      const stream = await getClient().chat.completions.create({ model, messages, stream: true }, { timeout });
+      let output = "";
+      for await (const chunk of stream) {
+        const content = chunk.choices?.[0]?.delta?.content || "";
+        if (content) {
+          output += content;
+          yield content;
+        }
+      }
+      onUsage(estimateUsage(messages, output));
+    }
+  };
+};
+
+// 本地 Ollama 的 OpenAI 兼容接口，不需要 API Key
+const ollamaProvider = ({ baseURL, model }) => openaiProvider({ apiKey: "ollama", baseURL: `${baseURL.replace(/\/$/, "")}/v1`, model });
+
+const parseToolInput = (raw) => {
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+};
+
+// OpenAI 格式的消息转换为 Anthropic 格式：system 单独传入，工具调用与结果转换为 tool_use / tool_result，
+// 连续的同角色消息合并（Anthropic 要求 user 与 assistant 交替）
+const toAnthropicMessages = (messages) => {
+  const system = messages.filter(message => message.role === "system").map(message => message.content).join("\n\n");
+  const result = [];
+  for (const message of messages.filter(item => item.role !== "system")) {
+    let entry;
+    if (message.role === "tool") {
+      entry = { role: "user", content: [{ type: "tool_result", tool_use_id: message.tool_call_id, content: message.content }] };
+    } else if (message.role === "assistant") {
+      entry = {
+        role: "assistant",
+        content: [
+          ...(message.content ? [{ type: "text", text: message.content }] : []),
+          ...(message.tool_calls || []).map(call => ({
+            type: "tool_use",
+            id: call.id,
+            name: call.function.name,
+            input: parseToolInput(call.function.arguments)
+          }))
+        ]
+      };
+    } else {
+      entry = { role: "user", content: [{ type: "text", text: message.content }] };
+    }
+    if (entry.content.length === 0) continue;
+
+    const last = result[result.length - 1];
+    if (last && last.role === entry.role) {
+      last.content.push(...entry.content);
+    } else {
+      result.push(entry);
+    }
+  }
+  return { system, messages: result };
+};
+
+const anthropicProvider = ({ apiKey, baseURL, model, maxTokens }) => {
+  const request = async (body, timeout) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      const res = await fetch(`${baseURL.replace(/\/$/, "")}/v1/messages`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": apiKey,
+          "anthropic-version": ANTHROPIC_VERSION
+        },
+        body: JSON.stringify({ model, max_tokens: maxTokens, ...body }),
+        signal: controller.signal
+      });
+      if (!res.ok) {
+        throw new LlmRequestError(`HTTP ${res.status}: ${(await res.text()).slice(0, 200)}`, res.status);
+      }
+      return res;
+    } finally {
+      // 超时只限制到收到响应头为止，流式输出不受影响
+      clearTimeout(timer);
+    }
+  };
+
+  return {
+    chat: async ({ messages, tools, toolChoice, timeout }) => {
+      const { system, messages: converted } = toAnthropicMessages(messages);
+      const res = await request({
+        system,
+        messages: converted,
+        ...(tools && {
+          tools: tools.map(tool => ({
+            name: tool.function.name,
+            description: tool.function.description,
+            input_schema: tool.function.parameters
+          })),
+          tool_choice: { type: toolChoice }
+        })
+      }, timeout);
+      const result = await res.json();
+      const text = result.content.filter(block => block.type === "text").map(block => block.text).join("");
+      const toolCalls = result.content.filter(block => block.type === "tool_use").map(block => ({
+        id: block.id,
+        type: "function",
+        function: { name: block.name, arguments: JSON.stringify(block.input) }
+      }));
+      return {
+        message: { role: "assistant", content: text || null, ...(toolCalls.length > 0 && { tool_calls: toolCalls }) },
+        usage: { input: result.usage?.input_tokens ?? 0, output: result.usage?.output_tokens ?? 0 }
+      };
+    },
+
+    stream: async function* ({ messages, timeout, onUsage }) {
+      const { system, messages: converted } = toAnthropicMessages(messages);
+      const res = await request({ system, messages: converted, stream: true }, timeout);
+      const usage = { input: 0, output: 0 };
+      // 多字节字符可能被拆在两个数据块中，按流解码
+      const decoder = new TextDecoder("utf-8");
+      let buffer = "";
+      for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (!line.startsWith("data: ")) continue;
+          const event = JSON.parse(line.slice(6));
+          if (event.type === "message_start") usage.input = event.message.usage?.input_tokens ?? 0;
+          if (event.type === "message_delta") usage.output = event.usage?.output_tokens ?? usage.output;
+          if (event.type === "content_block_delta" && event.delta.type === "text_delta") yield event.delta.text;
+          if (event.type === "error") throw new LlmRequestError(event.error?.message || "流式响应出错");
+        }
+      }
+      onUsage(usage);
+    }
+  };
+};
+
+const PROVIDER_FACTORIES = {
+  openai: openaiProvider,
+  anthropic: anthropicProvider,
+  ollama: ollamaProvider
+};
+
+// ========== 配置 ==========
+
+// 根据环境变量生成提供方列表；LLM_PROVIDERS 指定降级顺序，默认按 openai、anthropic、ollama 排列已配置的提供方
+const loadLlmConfig = (env = process.env) => {
+  const available = {};
+  const apiKey = env.API_KEY || env.OPENAI_API_KEY;
+  if (apiKey) {
+    available.openai = {
+      type: "openai",
+      apiKey,
+      baseURL: env.API_BASE_URL || "https://api.openai.com/v1",
+      model: env.API_MODEL || "gpt-4o"
+    };
+  }
+  if (env.ANTHROPIC_API_KEY) {
+    available.anthropic = {
+      type: "anthropic",
+      apiKey: env.ANTHROPIC_API_KEY,
+      baseURL: env.ANTHROPIC_BASE_URL || "https://api.anthropic.com",
+      model: env.ANTHROPIC_MODEL || DEFAULT_ANTHROPIC_MODEL,
+      maxTokens: parseInt(env.ANTHROPIC_MAX_TOKENS || String(DEFAULT_ANTHROPIC_MAX_TOKENS))
+    };
+  }
+  if (env.OLLAMA_MODEL) {
+    available.ollama = {
+      type: "ollama",
+      baseURL: env.OLLAMA_BASE_URL || "http://localhost:11434",
+      model: env.OLLAMA_MODEL
+    };
+  }
+
+  const order = env.LLM_PROVIDERS
+    ? env.LLM_PROVIDERS.split(",").map(name => name.trim()).filter(Boolean)
+    : LLM_PROVIDER_TYPES;
+  const unknown = order.filter(name => !LLM_PROVIDER_TYPES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`未知的大模型提供方: ${unknown.join(", ")}（可选：${LLM_PROVIDER_TYPES.join(", ")}）`);
+  }
+
+  let prices = {};
+  if (env.LLM_PRICES) {
+    try {
+      prices = JSON.parse(env.LLM_PRICES);
+    } catch (e) {
+      throw new Error(`LLM_PRICES 不是有效的 JSON: ${e.message}`);
+    }
+  }
+
+  return {
+    providers: order.filter(name => available[name]).map(name => available[name]),
+    timeoutMs: parseInt(env.LLM_TIMEOUT_MS || String(DEFAULT_TIMEOUT_MS)),
+    maxRetries: parseInt(env.LLM_MAX_RETRIES || String(DEFAULT_MAX_RETRIES)),
+    prices,
+    usageFile: env.LLM_USAGE_FILE || null
+  };
+};
+
+// ========== 用量统计 ==========
+
+// prices: { 模型名: { input, output } }，单位为每百万 token 的价格
+const createUsageTracker = (job, { prices = {}, usageFile = null } = {}) => {
+  const entries = new Map();
+
+  const add = (provider, model, usage) => {
+    const key = `${provider}:${model}`;
+    const entry = entries.get(key) || { provider, model, requests: 0, input: 0, output: 0, estimated: false };
+    entry.requests += 1;
+    entry.input += usage.input;
+    entry.output += usage.output;
+    entry.estimated = entry.estimated || Boolean(usage.estimated);
+    entries.set(key, entry);
+  };
+
+  const summary = () => [...entries.values()].map(entry => {
+    const price = prices[entry.model];
+    const cost = price ? (entry.input * (price.input || 0) + entry.output * (price.output || 0)) / 1e6 : null;
+    return { ...entry, cost: cost === null ? null : Math.round(cost * 1e6) / 1e6 };
+  });
+
+  // 在任务结束时输出本次运行的用量，配置了 LLM_USAGE_FILE 时追加一行 JSON
+  const log = () => {
+    const items = summary();
+    if (items.length === 0) return items;
+    for (const item of items) {
+      console.log(`🧮 ${job} Token 用量：${item.provider}:${item.model} 输入 ${item.input}，输出 ${item.output}` +
+        `（${item.requests} 次请求${item.estimated ? "，含估算" : ""}${item.cost === null ? "" : `，费用约 ${item.cost}`}）`);
+    }
+    if (usageFile) {
+      try {
+        fs.appendFileSync(usageFile, JSON.stringify({ time: new Date().toISOString(), job, usage: items }) + "\n");
+      } catch (e) {
+        console.warn(`⚠️  Token 用量记录写入失败: ${e.message}`);
+      }
+    }
+    return items;
+  };
+
+  return { add, summary, log };
+};
+
+// ========== 降级链 ==========
+
+/**
+ * 创建大模型调用入口
+ * chat({ messages, tools, toolChoice, tracker }) 返回 OpenAI 格式的 assistant 消息
+ * stream({ messages, tracker }) 逐段产出文本，只在尚未输出任何内容时切换提供方
+ */
+const createLlm = ({ providers, timeoutMs = DEFAULT_TIMEOUT_MS, maxRetries = DEFAULT_MAX_RETRIES, prices = {}, usageFile = null }) => {
+  const instances = providers.map(config => {
+    const factory = PROVIDER_FACTORIES[config.type];
+    if (!factory) throw new Error(`未知的大模型提供方: ${config.type}（可选：${LLM_PROVIDER_TYPES.join(", ")}）`);
+    return { label: config.type, model: config.model, ...factory(config) };
+  });
+
+  // 可以重试时按指数退避等待后返回 true
+  const backoff = async (provider, e, attempt) => {
+    if (!isTransient(e) || attempt >= maxRetries) return false;
+    const delay = 1000 * 2 ** attempt;
+    console.warn(`⚠️  大模型 ${provider.label} 请求失败（${e.message}），${delay / 1000} 秒后第 ${attempt + 1} 次重试`);
+    await sleep(delay);
+    return true;
+  };
+
+  const withRetry = async (provider, run) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await run();
+      } catch (e) {
+        if (!(await backoff(provider, e, attempt))) throw e;
+      }
+    }
+  };
+
+  // 流式输出只在尚未产出内容时重试，progress.started 记录是否已经产出
+  const streamWithRetry = async function* (provider, options, progress) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        for await (const chunk of provider.stream(options)) {
+          progress.started = true;
+          yield chunk;
+        }
+        return;
+      } catch (e) {
+        if (progress.started || !(await backoff(provider, e, attempt))) throw e;
+      }
+    }
+  };
+
+  const unavailable = (attempts) => new LlmUnavailableError(instances.length === 0
+    ? "未配置大模型（API_KEY、ANTHROPIC_API_KEY 或 OLLAMA_MODEL）"
+    : `所有大模型均不可用：${attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join("；")}`, attempts);
+
+  const failover = (provider, index, e, attempts) => {
+    attempts.push({ provider: provider.label, model: provider.model, error: e.message });
+    const next = instances[index + 1];
+    console.warn(`⚠️  大模型 ${provider.label}:${provider.model} 不可用（${e.message}）` + (next ? `，切换到 ${next.label}` : ""));
+  };
+
+  const chat = async ({ messages, tools = null, toolChoice = "auto", tracker = null }) => {
+    const attempts = [];
+    for (const [index, provider] of instances.entries()) {
+      try {
+        const result = await withRetry(provider, () => provider.chat({ messages, tools, toolChoice, timeout: timeoutMs }));
+        tracker?.add(provider.label, provider.model, result.usage);
+        return result.message;
+      } catch (e) {
+        failover(provider, index, e, attempts);
+      }
+    }
+    throw unavailable(attempts);
+  };
+
+  const stream = async function* ({ messages, tracker = null }) {
+    const attempts = [];
+    for (const [index, provider] of instances.entries()) {
+      const progress = { started: false };
+      try {
+        yield* streamWithRetry(provider, {
+          messages,
+          timeout: timeoutMs,
+          onUsage: (usage) => tracker?.add(provider.label, provider.model, usage)
+        }, progress);
+        return;
+      } catch (e) {
+        // 已经输出了部分内容时无法无缝切换，直接抛出
+        if (progress.started) throw e;
+        failover(provider, index, e, attempts);
+      }
+    }
+    throw unavailable(attempts);
+  };
+
+  return {
+    providers: instances.map(provider => `${provider.label}:${provider.model}`),
+    chat,
+    stream,
+    createTracker: (job) => createUsageTracker(job, { prices, usageFile })
+  };
+};
+
+/**
+ * 与 createLlm 相同的调用入口，首次使用时才读取配置
+ * 配置有误（如未知的 LLM_PROVIDERS、格式错误的 LLM_PRICES）时按大模型不可用处理，configError 为错误信息，
+ * 数据采集等不使用大模型的命令不受影响
+ */
+const createLazyLlm = (loadConfig = loadLlmConfig) => {
+  let instance = null;
+  let configError = null;
+  const resolve = () => {
+    if (instance) return instance;
+    try {
+      instance = createLlm(loadConfig());
+    } catch (e) {
+      configError = e.message;
+      const unavailable = () => new LlmUnavailableError(`大模型配置有误：${e.message}`);
+      instance = {
+        ...createLlm({ providers: [] }),
+        chat: async () => { throw unavailable(); },
+        stream: async function* () { throw unavailable(); }
+      };
+    }
+    return instance;
+  };
+
+  return {
+    get providers() { return resolve().providers; },
+    get configError() { resolve(); return configError; },
+    chat: (options) => resolve().chat(options),
+    stream: (options) => resolve().stream(options),
+    createTracker: (job) => resolve().createTracker(job)
+  };
+};
+
+export {
+  LLM_PROVIDER_TYPES,
+  LlmUnavailableError,
+  toAnthropicMessages,
+  loadLlmConfig,
+  createLlm,
+  createLazyLlm
+};
@@ -0,0 +1,228 @@
+/**
+ * MCP 远程传输
+ *
+ * 在 HTTP 服务上挂载 MCP 端点，多个客户端可以远程连接同一个 starReport 实例：
+ * - /mcp：Streamable HTTP 传输。POST 发送请求，GET 打开通知流，DELETE 结束会话，
+ *   会话 ID 在 initialize 响应的 mcp-session-id 头中返回，之后的请求都需要带上
+ * - /sse + /messages：旧版 HTTP+SSE 传输，供尚未支持 Streamable HTTP 的客户端使用
+ *
+ * 每个会话使用独立的 MCP Server 实例（工具、资源与提示词与 stdio 模式相同）。
+ * 没有打开通知流且空闲超过 MCP_SESSION_IDLE_MINUTES 的会话会被关闭；设置 MCP_AUTH_TOKEN 后需要
+ * Authorization: Bearer <token> 才能访问。
+ */
+import crypto from "crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+const MCP_PATHS = {
+  streamable: "/mcp",
+  sse: "/sse",
+  messages: "/messages"
+};
+const SESSION_HEADER = "mcp-session-id";
+const DEFAULT_IDLE_MINUTES = 30;
+const DEFAULT_MAX_SESSIONS = 100;
+// 空闲会话的检查间隔上限
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// JSON-RPC 错误码：服务端错误、内部错误
+const SERVER_ERROR = -32000;
+const INTERNAL_ERROR = -32603;
+
+// ========== 配置 ==========
+
+const loadMcpHttpConfig = (env = process.env) => {
+  const idleMinutes = parseFloat(env.MCP_SESSION_IDLE_MINUTES || String(DEFAULT_IDLE_MINUTES));
+  const maxSessions = parseInt(env.MCP_MAX_SESSIONS || String(DEFAULT_MAX_SESSIONS));
+  if (!(idleMinutes > 0)) {
+    throw new Error(`MCP_SESSION_IDLE_MINUTES 必须是正数: ${env.MCP_SESSION_IDLE_MINUTES}`);
+  }
+  if (!(maxSessions > 0)) {
+    throw new Error(`MCP_MAX_SESSIONS 必须是正整数: ${env.MCP_MAX_SESSIONS}`);
+  }
+  return {
+    authToken: env.MCP_AUTH_TOKEN || null,
+    idleTimeoutMs: idleMinutes * 60 * 1000,
+    maxSessions
+  };
+};
+
+// ========== 工具函数 ==========
+
+const sendError = (res, status, code, message) => {
+  res.status(status).json({ jsonrpc: "2.0", error: { code, message }, id: null });
+};
+
+const isAuthorized = (req, authToken) => {
+  if (!authToken) return true;
+  const expected = `Bearer ${authToken}`;
+  const actual = req.headers.authorization || "";
+  return expected.length === actual.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+};
+
+// ========== 挂载 ==========
+
+/**
+ * 在 Express 应用上挂载 Streamable HTTP 与旧版 SSE 端点
+ * createServer() 为每个会话创建新的 MCP Server；返回 { stats, close }
+ */
+const mountMcpTransports = (app, {
+  createServer,
+  authToken = null,
+  idleTimeoutMs = DEFAULT_IDLE_MINUTES * 60 * 1000,
+  maxSessions = DEFAULT_MAX_SESSIONS
+}) => {
+  // sessionId → { type, server, transport, lastActive, streams }
+  const sessions = new Map();
+
+  const touch = (session) => {
+    session.lastActive = Date.now();
+  };
+
+  // 会话连接关闭（客户端 DELETE、SSE 断开或空闲超时）时移除
+  const open = async (type, transport) => {
+    const server = createServer();
+    const onclose = server.onclose;
+    server.onclose = () => {
+      const sessionId = transport.sessionId;
+      if (sessionId && sessions.delete(sessionId)) {
+        console.log(`🔌 MCP 会话已关闭 (${type})：${sessionId}`);
+      }
+      onclose?.();
+    };
+    await server.connect(transport);
+    return server;
+  };
+
+  const register = (type, sessionId, server, transport) => {
+    // SSE 会话的连接本身就是通知流
+    sessions.set(sessionId, { type, server, transport, lastActive: Date.now(), streams: type === "sse" ? 1 : 0 });
+    console.log(`🔌 MCP 会话已建立 (${type})：${sessionId}`);
+  };
+
+  // 请求对应的会话；会话不存在时返回 null 并已发送错误响应
+  const findSession = (req, res, type, sessionId) => {
+    if (!sessionId) {
+      sendError(res, 400, SERVER_ERROR, "缺少会话 ID");
+      return null;
+    }
+    const session = sessions.get(sessionId);
+    if (!session || session.type !== type) {
+      // 客户端收到 404 后应重新 initialize
+      sendError(res, 404, SERVER_ERROR, `会话不存在或已过期: ${sessionId}`);
+      return null;
+    }
+    touch(session);
+    return session;
+  };
+
+  const hasCapacity = (res) => {
+    if (sessions.size < maxSessions) return true;
+    sendError(res, 503, SERVER_ERROR, `MCP 会话数已达上限 ${maxSessions}`);
+    return false;
+  };
+
+  const authenticate = (req, res, next) => {
+    if (isAuthorized(req, authToken)) return next();
+    res.set("WWW-Authenticate", "Bearer");
+    sendError(res, 401, SERVER_ERROR, "未授权");
+  };
+
+  // 处理过程中的异常统一返回 500，已开始响应时只记录日志
+  const handle = (handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(`❌ MCP 请求处理失败 (${req.method} ${req.path}): ${error.message}`);
+      if (!res.headersSent) sendError(res, 500, INTERNAL_ERROR, "Internal server error");
+    }
+  };
+
+  // ---------- Streamable HTTP ----------
+
+  app.post(MCP_PATHS.streamable, authenticate, handle(async (req, res) => {
+    const sessionId = req.headers[SESSION_HEADER];
+    if (sessionId) {
+      const session = findSession(req, res, "streamable", sessionId);
+      if (session) await session.transport.handleRequest(req, res, req.body);
+      return;
+    }
+    if (!isInitializeRequest(req.body)) {
+      return sendError(res, 400, SERVER_ERROR, "缺少会话 ID，新会话的第一个请求必须是 initialize");
+    }
+    if (!hasCapacity(res)) return;
+
+    let server = null;
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (newSessionId) => register("streamable", newSessionId, server, transport)
+    });
+    server = await open("streamable", transport);
+    await transport.handleRequest(req, res, req.body);
+  }));
+
+  // GET 打开服务端通知流（资源更新等），DELETE 结束会话
+  const sessionRequest = handle(async (req, res) => {
+    const session = findSession(req, res, "streamable", req.headers[SESSION_HEADER]);
+    if (!session) return;
+    if (req.method === "GET") {
+      session.streams += 1;
+      res.on("close", () => {
+        session.streams -= 1;
+        touch(session);
+      });
+    }
+    await session.transport.handleRequest(req, res);
+  });
+  app.get(MCP_PATHS.streamable, authenticate, sessionRequest);
+  app.delete(MCP_PATHS.streamable, authenticate, sessionRequest);
+
+  // ---------- 旧版 HTTP+SSE ----------
+
+  app.get(MCP_PATHS.sse, authenticate, handle(async (req, res) => {
+    if (!hasCapacity(res)) return;
+    const transport = new SSEServerTransport(MCP_PATHS.messages, res);
+    const server = await open("sse", transport);
+    register("sse", transport.sessionId, server, transport);
+  }));
+
+  app.post(MCP_PATHS.messages, authenticate, handle(async (req, res) => {
+    const session = findSession(req, res, "sse", req.query.sessionId);
+    if (session) await session.transport.handlePostMessage(req, res, req.body);
+  }));
+
+  // ---------- 空闲会话 ----------
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [sessionId, session] of sessions) {
+      if (session.streams > 0 || now - session.lastActive < idleTimeoutMs) continue;
+      console.log(`⏱️  MCP 会话空闲超时：${sessionId}`);
+      session.server.close().catch(e => console.error(`⚠️  MCP 会话关闭失败: ${e.message}`));
+    }
+  };
+  const timer = setInterval(sweep, Math.min(idleTimeoutMs, SWEEP_INTERVAL_MS));
+  timer.unref();
+
+  return {
+    // 当前会话数，按传输方式统计
+    stats: () => {
+      const counts = { streamable: 0, sse: 0 };
+      for (const session of sessions.values()) counts[session.type] += 1;
+      return counts;
+    },
+    close: async () => {
+      clearInterval(timer);
+      await Promise.all([...sessions.values()].map(session => session.server.close()));
+    }
+  };
+};
+
+export {
+  MCP_PATHS,
+  isAuthorized,
+  loadMcpHttpConfig,
+  mountMcpTransports
+};
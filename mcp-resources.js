@@ -0,0 +1,130 @@
+/**
+ * MCP 资源
+ *
+ * 历史数据与报告以 starreport:// 资源的形式提供给 MCP 客户端（Claude Desktop、Cursor 等）：
+ * - starreport://repos/{owner}/{repo}/history：某个仓库的每日快照（JSON）
+ * - starreport://reports/{kind}/{period}：报告文本与报告数据，kind 为 daily / weekly / monthly / quarterly，
+ *   period 为 latest 或日期、周期标签（2025-07-01、2025-W23、2025-07、2025-Q2）
+ *
+ * 客户端订阅资源后，数据文件发生变化（本进程或其他进程采集了新数据）时发送 resources/updated 通知。
+ */
+import fs from "fs";
+import { normalizeStats } from "./metrics.js";
+
+const RESOURCE_SCHEME = "starreport";
+const REPORT_RESOURCE_KINDS = ["daily", "weekly", "monthly", "quarterly"];
+const LATEST = "latest";
+// 订阅后轮询数据文件的间隔
+const DEFAULT_WATCH_INTERVAL_MS = 5000;
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${RESOURCE_SCHEME}://repos/{owner}/{repo}/history`,
+    name: "仓库历史数据",
+    description: "仓库的每日快照，按日期升序，每项为 { date, stars, forks, commits, ... }",
+    mimeType: "application/json"
+  },
+  {
+    uriTemplate: `${RESOURCE_SCHEME}://reports/{kind}/{period}`,
+    name: "报告",
+    description: `根据已存储的数据生成的报告，kind 为 ${REPORT_RESOURCE_KINDS.join(" / ")}，` +
+      "period 为 latest 或 2025-07-01（日报）、2025-W23（周报）、2025-07（月报）、2025-Q2（季报）",
+    mimeType: "text/markdown"
+  }
+];
+
+// ========== URI ==========
+
+const historyUri = (repo) => `${RESOURCE_SCHEME}://repos/${repo}/history`;
+
+const reportUri = (kind, period = LATEST) => `${RESOURCE_SCHEME}://reports/${kind}/${period}`;
+
+/**
+ * 解析资源 URI
+ * 返回 { type: "history", repo } 或 { type: "report", kind, period }，无法识别时抛出错误
+ */
+const parseResourceUri = (uri) => {
+  const history = uri.match(new RegExp(`^${RESOURCE_SCHEME}://repos/([^/]+)/([^/]+)/history$`));
+  if (history) {
+    return { type: "history", repo: `${decodeURIComponent(history[1])}/${decodeURIComponent(history[2])}` };
+  }
+  const report = uri.match(new RegExp(`^${RESOURCE_SCHEME}://reports/([^/]+)/([^/]+)$`));
+  if (report) {
+    if (!REPORT_RESOURCE_KINDS.includes(report[1])) {
+      throw new Error(`未知的报告类型: ${report[1]}（可选：${REPORT_RESOURCE_KINDS.join(", ")}）`);
+    }
+    return { type: "report", kind: report[1], period: decodeURIComponent(report[2]) };
+  }
+  throw new Error(`未知的资源: ${uri}`);
+};
+
+// ========== 内容 ==========
+
+// 仓库的每日快照，缺失的指标为 null
+const repoHistory = (data, repo) => Object.keys(data)
+  .sort()
+  .filter(date => data[date][repo])
+  .map(date => ({ date, ...normalizeStats(data[date][repo]) }));
+
+// 报告资源的内容：Markdown 文本与 JSON 数据
+const reportContents = (uri, { text, report }) => [
+  { uri, mimeType: "text/markdown", text },
+  { uri, mimeType: "application/json", text: JSON.stringify(report, null, 2) }
+];
+
+// ========== 订阅 ==========
+
+/**
+ * 创建订阅管理
+ * 有订阅时轮询 file 的修改时间，变化后调用 onChange(uris)；close() 停止监听
+ */
+const createSubscriptions = ({ file, onChange, interval = DEFAULT_WATCH_INTERVAL_MS }) => {
+  const uris = new Set();
+  let watching = null;
+
+  const listener = (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs || uris.size === 0) return;
+    onChange([...uris]);
+  };
+
+  const stop = () => {
+    if (watching) fs.unwatchFile(watching, listener);
+    watching = null;
+  };
+
+  // 数据文件路径可能在启动后由命令行参数修改，每次订阅时重新确认
+  const start = () => {
+    const target = file();
+    if (watching === target) return;
+    stop();
+    fs.watchFile(target, { interval, persistent: false }, listener);
+    watching = target;
+  };
+
+  return {
+    subscribe: (uri) => {
+      uris.add(uri);
+      start();
+    },
+    unsubscribe: (uri) => {
+      uris.delete(uri);
+      if (uris.size === 0) stop();
+    },
+    close: () => {
+      uris.clear();
+      stop();
+    }
+  };
+};
+
+export {
+  RESOURCE_SCHEME,
+  REPORT_RESOURCE_KINDS,
+  RESOURCE_TEMPLATES,
+  historyUri,
+  reportUri,
+  parseResourceUri,
+  repoHistory,
+  reportContents,
+  createSubscriptions
+};
@@ -0,0 +1,349 @@
+/**
+ * MCP 工具定义与只读数据查询
+ *
+ * 每个工具的参数由 zod schema 定义：列出工具时转换为 JSON Schema，调用时按同一份 schema 校验，
+ * 参数无效时返回具体到字段的错误。
+ *
+ * 查询工具只读取已存储的数据，结果以 JSON 返回（同时放在 structuredContent 中）：
+ * - get_metric_series：某个仓库某项指标的序列，可按天、ISO 周或月汇总
+ * - compare_repos：多个仓库在同一区间的多项指标对比
+ * - get_rankings：按数值、增量或增长率排名
+ * - get_period_summary：区间汇总（增量、增长率、最佳/最差单日、排名变化与上期对比）
+ */
+import { z } from "zod";
+import { zodToJsonSchema } from "zod-to-json-schema";
+import { METRIC_KEYS, normalizeStats } from "./metrics.js";
+import { NOTIFIER_TYPES } from "./notifiers.js";
+import { DEFAULT_HORIZONS, DEFAULT_WINDOW } from "./forecast.js";
+import {
+  addDays,
+  isValidDate,
+  isoWeek,
+  previousPeriodRange,
+  trailingRange,
+  snapshotOnOrBefore,
+  aggregateRepo,
+  growthRate,
+  buildPeriodReport
+} from "./aggregate.js";
+import { parsePeriod, createRepoResolver, createTools } from "./analyst.js";
+import { GROUP_PREFIX } from "./watchlist.js";
+
+const GRANULARITIES = ["day", "week", "month"];
+const RANK_BY = ["value", "diff", "growth"];
+// 未指定区间时对比、排名最近多少天
+const DEFAULT_RANGE_DAYS = 30;
+// 单次返回的序列最多包含的点数
+const MAX_SERIES_POINTS = 400;
+
+// ========== 参数 ==========
+
+const PERIOD_DESCRIPTION = "月份 2025-07、ISO 周 2025-W23、季度 2025-Q2、单日 2025-07-01，或起止日期 2025-06-01~2025-08-31";
+
+const dateArg = () => z.string().refine(isValidDate, { message: "日期格式应为 YYYY-MM-DD" });
+
+const periodArg = () => z.string().superRefine((value, ctx) => {
+  try {
+    parsePeriod(value);
+  } catch (e) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: e.message });
+  }
+});
+
+const metricArg = () => z.enum(METRIC_KEYS);
+
+const repoListArg = () => z.array(z.string().min(1)).min(1);
+
+const TOOLS = {
+  get_repo_data: {
+    description: "获取 GitHub 仓库的历史数据",
+    input: z.object({
+      repo: z.string().min(1).optional().describe("仓库名称（可选，不提供则返回所有仓库数据）")
+    })
+  },
+  get_metric_series: {
+    description: "获取某个仓库某项指标的序列（只读）。granularity 为 week / month 时取每周、每月最后一次快照，change 为相对上一个点的变化",
+    input: z.object({
+      repo: z.string().min(1).describe("仓库 owner/name，或唯一的名称部分（如 wow-rag）"),
+      metric: metricArg().default("stars").describe("指标，默认 stars"),
+      from: dateArg().optional().describe("开始日期 YYYY-MM-DD，默认最早的快照"),
+      to: dateArg().optional().describe("结束日期 YYYY-MM-DD，默认最新的快照"),
+      granularity: z.enum(GRANULARITIES).default("day").describe("汇总粒度：day（默认）、week（ISO 周）、month")
+    }).refine(args => !args.from || !args.to || args.from <= args.to, { message: "from 不能晚于 to", path: ["from"] })
+  },
+  compare_repos: {
+    description: "对比多个仓库在同一区间内的指标（只读）：区间开始前与结束时的数值、增量与增长率，以及各指标领先的仓库",
+    input: z.object({
+      repos: repoListArg().optional().describe("要对比的仓库或 #分组（合计至少 2 个仓库），默认全部监控中的仓库"),
+      metrics: z.array(metricArg()).min(1).default(["stars", "forks", "commits", "issues"]).describe("要对比的指标，默认 stars、forks、commits、issues"),
+      period: periodArg().optional().describe(`区间：${PERIOD_DESCRIPTION}。默认最近 ${DEFAULT_RANGE_DAYS} 天`)
+    })
+  },
+  get_rankings: {
+    description: "按某项指标对仓库排名（只读）：value 为区间结束时的数值，diff 为区间增量，growth 为区间增长率（%）",
+    input: z.object({
+      metric: metricArg().default("stars").describe("指标，默认 stars"),
+      by: z.enum(RANK_BY).default("diff").describe("排名依据，默认 diff"),
+      period: periodArg().optional().describe(`区间：${PERIOD_DESCRIPTION}。默认最近 ${DEFAULT_RANGE_DAYS} 天`),
+      limit: z.number().int().min(1).optional().describe("返回前几名，默认全部"),
+      repos: repoListArg().optional().describe("参与排名的仓库或 #分组，默认全部监控中的仓库")
+    })
+  },
+  get_period_summary: {
+    description: "区间汇总（只读）：各仓库的增量、增长率、最佳/最差单日、排名变化，以及与上一周期的对比和合计",
+    input: z.object({
+      period: periodArg().optional().describe(`区间：${PERIOD_DESCRIPTION}。默认最新快照之前的上一个完整月份`),
+      repos: repoListArg().optional().describe("要汇总的仓库或 #分组，默认全部监控中的仓库；结果包含各分组的合计")
+    })
+  },
+  generate_daily_report: {
+    description: "采集仓库数据并生成日报。dryRun 为 true 时只生成报告，不写入历史数据、不推送日报与告警",
+    input: z.object({
+      date: dateArg().optional().describe("快照记录的日期 YYYY-MM-DD，默认今天"),
+      repos: repoListArg().optional().describe("要采集的仓库 owner/name、监控中仓库的名称部分或 #分组，默认全部监控中的仓库"),
+      dryRun: z.boolean().default(false).describe("只生成报告，不写入数据、不推送（默认 false）")
+    })
+  },
+  generate_weekly_report: {
+    description: "根据已存储的数据生成截至 date 的最近 7 天周报。dryRun 为 true 时不推送",
+    input: z.object({
+      date: dateArg().optional().describe("周报区间的结束日期 YYYY-MM-DD，默认今天"),
+      repos: repoListArg().optional().describe("仓库 owner/name、监控中仓库的名称部分或 #分组，默认全部监控中的仓库"),
+      dryRun: z.boolean().default(false).describe("只生成报告，不推送（默认 false）")
+    })
+  },
+  generate_period_report: {
+    description: "生成月报、季报或自定义区间报告（含增长率、最佳/最差单日、排名变化与上期对比），不写入数据、不推送",
+    input: z.object({
+      kind: z.enum(["monthly", "quarterly", "custom"]).describe("报告类型"),
+      period: z.string().optional().describe("周期标签（可选），如 2025-06 或 2025-Q2，不提供则为 date 之前的上一个完整月或季度"),
+      date: dateArg().optional().describe("不提供 period 时的参考日期 YYYY-MM-DD，默认今天"),
+      from: dateArg().optional().describe("自定义区间开始日期 YYYY-MM-DD（kind 为 custom 时必填）"),
+      to: dateArg().optional().describe("自定义区间结束日期 YYYY-MM-DD（kind 为 custom 时必填）"),
+      repos: repoListArg().optional().describe("仓库 owner/name、监控中仓库的名称部分或 #分组，默认全部监控中的仓库")
+    })
+  },
+  forecast_repos: {
+    description: "根据历史快照预测仓库指标（线性与 EMA 趋势，含置信区间），并估算达到里程碑（如 1k Stars）的日期",
+    input: z.object({
+      repos: z.array(z.string().min(1)).optional().describe("要预测的仓库 owner/name 或 #分组（可选，默认全部监控中的仓库）"),
+      metric: metricArg().optional().describe("指标（可选，默认 stars）"),
+      horizons: z.array(z.number().int().min(1)).optional().describe(`预测的天数（可选，默认 ${DEFAULT_HORIZONS.join("/")}）`),
+      milestones: z.array(z.number()).optional().describe("要估算到达日期的目标值（可选，默认下一个整数里程碑）"),
+      window: z.number().int().min(7).optional().describe(`拟合最近多少天的数据（可选，默认 ${DEFAULT_WINDOW}）`)
+    })
+  },
+  ai_analysis: {
+    description: "使用 AI 对仓库数据进行智能分析",
+    input: z.object({
+      question: z.string().optional().describe("要分析的具体问题（可选）")
+    })
+  },
+  watchlist_list: {
+    description: "查看监控列表：监控中的仓库（含发现规则上次解析出的仓库）、发现规则、所属分组（标签），以及各分组的仓库",
+    input: z.object({
+      group: z.string().min(1).optional().describe("只列出某个分组（标签）的仓库（可选）")
+    })
+  },
+  watchlist_add: {
+    description: "添加仓库或发现规则到监控列表，下次采集时生效；已在列表中的合并标签与筛选条件。发现规则在每次日报时解析为具体仓库，需要历史数据时再执行 backfill",
+    input: z.object({
+      repos: repoListArg().describe("仓库 owner/name，或发现规则，如 org:datawhalechina、user:someone、\"topic:llm org:datawhalechina\""),
+      tags: z.array(z.string().min(1)).default([]).describe("分组标签（可选），如 rag、agents"),
+      include: z.array(z.string().min(1)).optional().describe("发现规则只包含匹配的仓库名（可选），支持 * ?"),
+      exclude: z.array(z.string().min(1)).optional().describe("发现规则排除匹配的仓库名（可选），支持 * ?"),
+      minStars: z.number().int().min(0).optional().describe("发现规则只包含 Stars 不少于该值的仓库（可选，默认 0）"),
+      forks: z.boolean().optional().describe("发现规则是否包含 fork 的仓库（可选，默认 false）"),
+      archived: z.boolean().optional().describe("发现规则是否包含已归档的仓库（可选，默认 false）")
+    })
+  },
+  watchlist_remove: {
+    description: "将仓库或发现规则移出监控列表，不再采集；历史数据保留，仍可在报告与查询中按名称使用。发现的仓库请在规则的 exclude 中排除",
+    input: z.object({
+      repos: repoListArg().describe("仓库 owner/name 或发现规则")
+    })
+  },
+  watchlist_tag: {
+    description: "为监控列表中的仓库添加或移除分组标签",
+    input: z.object({
+      repos: repoListArg().describe("仓库 owner/name"),
+      add: z.array(z.string().min(1)).default([]).describe("要添加的标签"),
+      remove: z.array(z.string().min(1)).default([]).describe("要移除的标签")
+    }).refine(args => args.add.length > 0 || args.remove.length > 0, { message: "add 与 remove 至少提供一个", path: ["add"] })
+  },
+  watchlist_discover: {
+    description: "立即解析全部发现规则并记录结果，返回每条规则新增与移除的仓库（日报时也会自动解析）",
+    input: z.object({})
+  },
+  send_notification: {
+    description: "发送消息到已配置的通知渠道（飞书、Slack、钉钉、企业微信、Discord、邮件、Webhook）",
+    input: z.object({
+      message: z.string().min(1).describe("要发送的消息内容"),
+      channels: z.array(z.enum(NOTIFIER_TYPES)).optional().describe("只发送到指定类型的渠道（可选，默认全部）")
+    })
+  },
+  send_feishu_message: {
+    description: "发送消息到飞书群",
+    input: z.object({
+      message: z.string().min(1).describe("要发送的消息内容")
+    })
+  }
+};
+
+// MCP tools/list 的工具列表，inputSchema 由 zod schema 转换
+const listTools = () => Object.entries(TOOLS).map(([name, { description, input }]) => {
+  const { $schema, ...inputSchema } = zodToJsonSchema(input, { $refStrategy: "none" });
+  return { name, description, inputSchema };
+});
+
+/**
+ * 校验工具参数，返回补齐默认值后的参数
+ * 未知工具或参数无效时抛出错误，错误信息列出每个字段的问题
+ */
+const parseToolArguments = (name, args = {}) => {
+  const tool = TOOLS[name];
+  if (!tool) throw new Error(`Unknown tool: ${name}`);
+  const result = tool.input.safeParse(args ?? {});
+  if (!result.success) {
+    const issues = result.error.issues.map(issue => `${issue.path.join(".") || "参数"}: ${issue.message}`);
+    throw new Error(`${name} 参数无效：${issues.join("；")}`);
+  }
+  return result.data;
+};
+
+// ========== 查询 ==========
+
+const BUCKETS = {
+  day: (day) => day,
+  week: isoWeek,
+  month: (day) => day.slice(0, 7)
+};
+
+// 周期标签对应的自然周期类型，用于确定上期对比的区间
+const periodTypeOf = (label) => {
+  if (/^\d{4}-W\d{2}$/.test(label)) return "week";
+  if (/^\d{4}-\d{2}$/.test(label)) return "month";
+  if (/^\d{4}-Q[1-4]$/.test(label)) return "quarter";
+  return null;
+};
+
+const REPORT_KINDS = { week: "weekly", month: "monthly", quarter: "quarterly" };
+
+// 取值最大的仓库，没有数值时为 null
+const leader = (items, pick) => items.reduce((best, item) => {
+  const value = pick(item);
+  if (typeof value !== "number") return best;
+  return !best || value > best.value ? { repo: item.repo, value } : best;
+}, null);
+
+/**
+ * 在一份数据快照上创建查询函数
+ * repos 为监控中的仓库，用于解析简称与默认范围；groups 为 { 分组: [仓库] }，仓库参数中的 #分组 展开为分组内的仓库。
+ * 参数应已经过 parseToolArguments 校验
+ */
+const createQueries = (data, repos, { groups = {} } = {}) => {
+  const dates = Object.keys(data).sort();
+  const latest = dates[dates.length - 1] || undefined;
+  const { resolve } = createRepoResolver(data, repos);
+  const expand = (name) => {
+    if (!name.startsWith(GROUP_PREFIX)) return [resolve(name)];
+    const members = groups[name.slice(GROUP_PREFIX.length)];
+    if (!members) {
+      throw new Error(`未知的分组: ${name}（可用：${Object.keys(groups).map(tag => GROUP_PREFIX + tag).join(", ") || "无"}）`);
+    }
+    return members;
+  };
+  const targetsOf = (names) => (names?.length ? [...new Set(names.flatMap(expand))] : repos);
+  const rangeOf = (value) => (value ? parsePeriod(value) : trailingRange(DEFAULT_RANGE_DAYS, latest));
+
+  return {
+    get_metric_series: ({ repo, metric = "stars", from = null, to = null, granularity = "day" }) => {
+      const name = resolve(repo);
+      const points = dates
+        .filter(day => (!from || day >= from) && (!to || day <= to) && data[day][name])
+        .map(day => ({ date: day, value: normalizeStats(data[day][name])[metric] }))
+        .filter(point => point.value !== null);
+      if (points.length === 0) {
+        return { repo: name, metric, granularity, points: [], note: "区间内没有该指标的数据" };
+      }
+
+      // 每个周期取最后一次快照；第一个点与区间开始前的快照比较
+      const buckets = new Map();
+      points.forEach(point => buckets.set(BUCKETS[granularity](point.date), point));
+      const baseline = from ? snapshotOnOrBefore(data, name, addDays(from, -1))?.stats[metric] ?? null : null;
+      let previous = baseline;
+      const series = [...buckets].map(([label, point]) => {
+        const change = previous === null ? null : point.value - previous;
+        previous = point.value;
+        return { period: label, date: point.date, value: point.value, change };
+      });
+
+      const values = points.map(point => point.value);
+      const start = baseline ?? points[0].value;
+      const end = points[points.length - 1].value;
+      return {
+        repo: name,
+        metric,
+        granularity,
+        from: points[0].date,
+        to: points[points.length - 1].date,
+        start,
+        end,
+        change: end - start,
+        growth: growthRate(end - start, start),
+        max: Math.max(...values),
+        min: Math.min(...values),
+        // 点数过多时只返回最近的部分，统计值仍基于全部数据
+        points: series.slice(-MAX_SERIES_POINTS),
+        truncated: series.length > MAX_SERIES_POINTS
+      };
+    },
+
+    compare_repos: ({ repos: names = null, metrics = ["stars", "forks", "commits", "issues"], period = null }) => {
+      const range = rangeOf(period);
+      const targets = targetsOf(names);
+      if (targets.length < 2) throw new Error(`至少需要 2 个仓库才能对比，当前：${targets.join(", ") || "无"}`);
+      const items = targets.map(repo => {
+        const result = aggregateRepo(data, repo, range);
+        return {
+          repo,
+          status: result.status,
+          start: result.baseline?.date ?? null,
+          end: result.end?.date ?? null,
+          metrics: Object.fromEntries(metrics.map(key => [key, {
+            start: result.baseline?.stats[key] ?? null,
+            end: result.end?.stats[key] ?? null,
+            diff: result.diff?.[key] ?? null,
+            growth: growthRate(result.diff?.[key], result.baseline?.stats[key])
+          }]))
+        };
+      });
+      return {
+        period: range,
+        metrics,
+        repos: items,
+        leaders: Object.fromEntries(metrics.map(key => [key, {
+          value: leader(items, item => item.metrics[key].end),
+          diff: leader(items, item => item.metrics[key].diff),
+          growth: leader(items, item => item.metrics[key].growth)
+        }]))
+      };
+    },
+
+    // 与 AI 分析的 rank_repos 相同，可限定参与排名的仓库
+    get_rankings: ({ repos: names = null, ...args }) => createTools(data, targetsOf(names)).rank_repos(args),
+
+    get_period_summary: ({ period = null, repos: names = null }) => {
+      const range = period ? parsePeriod(period) : previousPeriodRange("month", latest);
+      const type = periodTypeOf(range.label);
+      return buildPeriodReport(data, targetsOf(names), range, { kind: REPORT_KINDS[type] || "custom", period: type, groups });
+    }
+  };
+};
+
+export {
+  TOOLS,
+  listTools,
+  parseToolArguments,
+  createQueries
+};
@@ -0,0 +1,74 @@
+/**
+ * 仓库指标定义
+ *
+ * 每日快照的数值指标、缺失字段的归一化、快照之间的增量计算与文本格式化，
+ * 日报、周期报告与统计摘要共用这里的指标顺序和标签。
+ */
+
+// 每日快照中的数值指标（按报告展示顺序）
+// 早期快照只有 stars / commits / issues，其余字段缺失时按 null 处理
+const METRICS = [
+  { key: "stars", label: "Stars", emoji: "⭐️" },
+  { key: "forks", label: "Forks", emoji: "🍴" },
+  { key: "watchers", label: "Watchers", emoji: "👀" },
+  { key: "commits", label: "Commits", emoji: "🔨" },
+  { key: "issues", label: "Issues", emoji: "🐛" },
+  { key: "openPRs", label: "Open PRs", emoji: "🔀" },
+  { key: "mergedPRs", label: "Merged PRs", emoji: "✅" },
+  { key: "contributors", label: "Contributors", emoji: "👥" },
+  { key: "downloads", label: "Downloads", emoji: "📦" },
+  { key: "views", label: "Views (14d)", emoji: "👁" },
+  { key: "uniqueViews", label: "Unique Views (14d)", emoji: "🧑‍💻" },
+  { key: "clones", label: "Clones (14d)", emoji: "📥" },
+  { key: "uniqueClones", label: "Unique Clones (14d)", emoji: "🧬" }
+];
+
+const METRIC_KEYS = METRICS.map(metric => metric.key);
+
+// 将任意版本的快照补齐为完整结构，缺失的指标为 null
+const normalizeStats = (stats = {}) => {
+  const normalized = {};
+  for (const key of METRIC_KEYS) {
+    normalized[key] = typeof stats[key] === "number" ? stats[key] : null;
+  }
+  normalized.release = stats.release ?? null;
+  return normalized;
+};
+
+// 计算两个快照之间的差值，任一侧缺失时为 null
+const diffStats = (current, previous) => {
+  const diff = {};
+  for (const key of METRIC_KEYS) {
+    diff[key] = current[key] !== null && previous[key] !== null
+      ? current[key] - previous[key]
+      : null;
+  }
+  return diff;
+};
+
+const formatDiff = (diff) => {
+  if (diff === null || diff === undefined) return "";
+  return diff >= 0 ? ` (+${diff})` : ` (${diff})`;
+};
+
+// 生成单个仓库的报告文本，跳过没有数据的指标
+const formatStatsLines = (stats, diff = {}) => {
+  let lines = "";
+  for (const metric of METRICS) {
+    if (stats[metric.key] === null) continue;
+    lines += `${metric.emoji} ${metric.label}: ${stats[metric.key]}${formatDiff(diff[metric.key])}\n`;
+  }
+  if (stats.release) {
+    lines += `🏷 Release: ${stats.release}\n`;
+  }
+  return lines;
+};
+
+export {
+  METRICS,
+  METRIC_KEYS,
+  normalizeStats,
+  diffStats,
+  formatDiff,
+  formatStatsLines
+};
@@ -0,0 +1,372 @@
+/**
+ * 通知渠道
+ *
+ * 同一份报告可以同时推送到多个渠道：飞书、Slack、钉钉、企业微信、Discord、邮件和通用 Webhook。
+ * 每个渠道按自己的消息格式发送；单个渠道失败只记录在结果中，不影响其他渠道，也不会抛出异常。
+ */
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { renderFeishuCard } from "./report.js";
+import { defaultT } from "./templates.js";
+
+const NOTIFIER_TYPES = ["feishu", "slack", "dingtalk", "wecom", "discord", "email", "webhook"];
+
+// 从报告第一行的【标题】中提取标题；model 为报告模型（见 report.js），支持富文本的渠道据此渲染
+// urgent 为紧急通知（如仓库告警），支持的渠道会醒目展示或提醒所有人
+const toMessage = (text, { report = null, model = null, urgent = false } = {}, t = defaultT) => {
+  const match = text.match(/^【(.+?)】/);
+  return {
+    title: match ? match[1] : t("notify.defaultTitle"),
+    text,
+    report,
+    model,
+    urgent
+  };
+};
+
+const byteLength = (text) => Buffer.byteLength(text);
+
+const truncatedNote = (t) => `\n…${t("notify.truncated")}`;
+
+const truncate = (text, max, t = defaultT) => {
+  if (text.length <= max) return text;
+  const note = truncatedNote(t);
+  return text.slice(0, max - note.length) + note;
+};
+
+// 按字节截断（企业微信、钉钉按 UTF-8 字节计算长度）
+const truncateBytes = (text, maxBytes, t = defaultT) => {
+  if (byteLength(text) <= maxBytes) return text;
+  const note = truncatedNote(t);
+  let result = text;
+  while (byteLength(result) > maxBytes - byteLength(note)) {
+    result = result.slice(0, Math.floor(result.length * 0.9));
+  }
+  return result + note;
+};
+
+// 不超过 max 的最长前缀长度（按 measure 计算）
+const fittingPrefix = (text, max, measure) => {
+  let end = Math.min(text.length, max);
+  while (end > 1 && measure(text.slice(0, end)) > max) {
+    end = Math.floor(end * 0.9);
+  }
+  return end;
+};
+
+// 按段落切分为不超过 max 的若干块；measure 默认按字符数，也可以按字节数
+const splitText = (text, max, measure = (value) => value.length) => {
+  const chunks = [];
+  let current = "";
+  for (const paragraph of text.split(/\n(?=\n)/)) {
+    if (current && measure(current) + measure(paragraph) + 1 > max) {
+      chunks.push(current);
+      current = "";
+    }
+    current += (current ? "\n" : "") + paragraph;
+    while (measure(current) > max) {
+      const end = fittingPrefix(current, max, measure);
+      chunks.push(current.slice(0, end));
+      current = current.slice(end);
+    }
+  }
+  if (current.trim()) chunks.push(current);
+  return chunks;
+};
+
+const postJson = async (url, body) => {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status}: ${(await res.text()).slice(0, 200)}`);
+  }
+  return res;
+};
+
+// 钉钉与企业微信在 HTTP 200 时通过 errcode 返回错误
+const checkErrcode = async (res) => {
+  const body = await res.json().catch(() => null);
+  if (body?.errcode !== undefined && body.errcode !== 0) {
+    throw new Error(`errcode ${body.errcode}: ${body.errmsg}`);
+  }
+};
+
+// ========== 各渠道 ==========
+
+// 飞书自定义机器人的请求体不能超过 20 KB，预留卡片结构与 JSON 转义的空间
+const FEISHU_CARD_MAX_BYTES = 12000;
+const FEISHU_RICH_CARD_MAX_BYTES = 18000;
+
+// 飞书加签：以 "timestamp\n密钥" 为 key 对空字符串做 HmacSHA256，再 Base64 编码
+const feishuSign = (timestamp, secret) =>
+  crypto.createHmac("sha256", `${timestamp}\n${secret}`).update("").digest("base64");
+
+// header 为可选的卡片标题 { title, template }
+const feishuCard = (content, header = null) => ({
+  "schema": "2.0",
+  "config": {
+    "update_multi": true,
+    "style": {
+      "text_size": {
+        "normal_v2": {
+          "default": "normal",
+          "pc": "normal",
+          "mobile": "heading"
+        }
+      }
+    }
+  },
+  ...(header && {
+    "header": {
+      "title": { "tag": "plain_text", "content": header.title },
+      "template": header.template
+    }
+  }),
+  "body": {
+    "direction": "vertical",
+    "padding": "12px 12px 12px 12px",
+    "elements": [
+      {
+        "tag": "markdown",
+        "content": content,
+        "text_align": "left",
+        "text_size": "normal_v2",
+        "margin": "0px 0px 0px 0px"
+      }
+    ]
+  }
+});
+
+// 待发送的飞书卡片：有报告模型时为带表格与图表的报告卡片（超出大小限制时退回 Markdown），
+// Markdown 内容过长时拆分为多张卡片；紧急通知使用红色标题栏
+const feishuCards = ({ text, model = null, title = null, urgent = false, t = defaultT }) => {
+  const richCard = model ? renderFeishuCard(model, t) : null;
+  if (richCard && byteLength(JSON.stringify(richCard)) <= FEISHU_RICH_CARD_MAX_BYTES) {
+    return [richCard];
+  }
+  const header = urgent ? { title: `🚨 ${title || t("notify.urgentTitle")}`, template: "red" } : null;
+  const content = header ? text.replace(/^【.+?】\n?/, "") : text;
+  return splitText(content, FEISHU_CARD_MAX_BYTES, byteLength).map((chunk, index, chunks) =>
+    feishuCard(chunks.length > 1 ? `${chunk}\n\n${t("notify.part", { index: index + 1, total: chunks.length })}` : chunk, header));
+};
+
+// 飞书群机器人，多张卡片依次发送，任一张失败即抛出
+const feishuNotifier = ({ webhook, secret, t }) => ({
+  send: async (message) => {
+    const cards = feishuCards({ ...message, t });
+    for (const [index, card] of cards.entries()) {
+      const body = { msg_type: "interactive", card };
+      if (secret) {
+        body.timestamp = String(Math.floor(Date.now() / 1000));
+        body.sign = feishuSign(body.timestamp, secret);
+      }
+
+      const res = await postJson(webhook, body);
+      // 飞书在 HTTP 200 时通过 code/msg 返回错误（旧版接口为 StatusCode/StatusMessage）
+      const result = await res.json().catch(() => null);
+      const code = result?.code ?? result?.StatusCode;
+      if (code !== undefined && code !== 0) {
+        const part = cards.length > 1 ? `第 ${index + 1}/${cards.length} 张卡片` : "卡片";
+        throw new Error(`${part}发送失败，code ${code}: ${result.msg ?? result.StatusMessage}`);
+      }
+    }
+  }
+});
+
+// Slack Block Kit：标题 + 按段落拆分的 mrkdwn 区块（每块最多 3000 字符，最多 50 块），紧急通知 @channel
+const slackNotifier = ({ webhook, t }) => ({
+  send: async ({ title, text, urgent }) => {
+    const body = (urgent ? "<!channel>\n" : "") + text.replace(/^【.+?】\n?/, "").replace(/\*\*(.+?)\*\*/g, "*$1*");
+    const sections = splitText(body, 3000).slice(0, 49).map(chunk => ({
+      type: "section",
+      text: { type: "mrkdwn", text: chunk }
+    }));
+    await postJson(webhook, {
+      text: title,
+      blocks: [{ type: "header", text: { type: "plain_text", text: truncate(title, 150, t) } }, ...sections]
+    });
+  }
+});
+
+// 钉钉 markdown 消息；配置了加签密钥时附带 timestamp 与 sign，紧急通知 @所有人
+const dingtalkNotifier = ({ webhook, secret, t }) => ({
+  send: async ({ title, text, urgent }) => {
+    let url = webhook;
+    if (secret) {
+      const timestamp = Date.now();
+      const sign = crypto.createHmac("sha256", secret).update(`${timestamp}\n${secret}`).digest("base64");
+      url += `${url.includes("?") ? "&" : "?"}timestamp=${timestamp}&sign=${encodeURIComponent(sign)}`;
+    }
+    // 钉钉 markdown 的换行需要行尾两个空格
+    const content = truncateBytes(text.replace(/\n/g, "  \n"), 20000, t);
+    const res = await postJson(url, { msgtype: "markdown", markdown: { title, text: content }, at: { isAtAll: urgent } });
+    await checkErrcode(res);
+  }
+});
+
+// 企业微信 markdown 消息，内容最长 4096 字节
+const wecomNotifier = ({ webhook, t }) => ({
+  send: async ({ text }) => {
+    const res = await postJson(webhook, { msgtype: "markdown", markdown: { content: truncateBytes(text, 4096, t) } });
+    await checkErrcode(res);
+  }
+});
+
+// Discord embeds：每个 embed 描述最多 4096 字符，单条消息最多 10 个、总计 6000 字符；紧急通知为红色
+const discordNotifier = ({ webhook, t }) => ({
+  send: async ({ title, text, urgent }) => {
+    const body = text.replace(/^【.+?】\n?/, "");
+    let total = title.length;
+    const embeds = [];
+    for (const chunk of splitText(body, 4096)) {
+      if (embeds.length >= 10 || total + chunk.length > 6000) break;
+      total += chunk.length;
+      embeds.push({ description: chunk, color: urgent ? 0xe74c3c : 0xf1c40f });
+    }
+    if (embeds.length === 0) embeds.push({ description: truncate(body, 4096, t) || title });
+    embeds[0].title = title;
+    embeds[embeds.length - 1].timestamp = new Date().toISOString();
+    await postJson(webhook, { username: "starReport", embeds });
+  }
+});
+
+const escapeHtml = (text) => text
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;");
+
+// SMTP 邮件，需要安装可选依赖 nodemailer
+const emailNotifier = ({ host, port, secure, user, pass, from, to }) => {
+  let transporter = null;
+  return {
+    send: async ({ title, text, urgent }) => {
+      if (!transporter) {
+        let nodemailer;
+        try {
+          nodemailer = (await import("nodemailer")).default;
+        } catch {
+          throw new Error("邮件推送需要安装 nodemailer：npm install nodemailer");
+        }
+        transporter = nodemailer.createTransport({
+          host,
+          port,
+          secure,
+          auth: user ? { user, pass } : undefined
+        });
+      }
+      await transporter.sendMail({
+        from,
+        to,
+        subject: title,
+        priority: urgent ? "high" : "normal",
+        text,
+        html: `<div style="font-family: sans-serif; white-space: pre-wrap; line-height: 1.6">${escapeHtml(text)}</div>`
+      });
+    }
+  };
+};
+
+// 通用 Webhook：POST 纯 JSON，包含标题、文本与结构化报告
+const webhookNotifier = ({ url }) => ({
+  send: async ({ title, text, report, urgent }) => {
+    await postJson(url, {
+      source: "starReport",
+      title,
+      urgent,
+      text,
+      report,
+      sentAt: new Date().toISOString()
+    });
+  }
+});
+
+const NOTIFIER_FACTORIES = {
+  feishu: feishuNotifier,
+  slack: slackNotifier,
+  dingtalk: dingtalkNotifier,
+  wecom: wecomNotifier,
+  discord: discordNotifier,
+  email: emailNotifier,
+  webhook: webhookNotifier
+};
+
+// ========== 配置与分发 ==========
+
+// 根据环境变量生成已配置的渠道列表，未配置的渠道不会出现
+const loadNotifierConfig = (env = process.env) => {
+  const channels = [];
+  if (env.FEISHU_WEBHOOK) {
+    channels.push({ type: "feishu", webhook: env.FEISHU_WEBHOOK, secret: env.FEISHU_SECRET || null });
+  }
+  if (env.SLACK_WEBHOOK) channels.push({ type: "slack", webhook: env.SLACK_WEBHOOK });
+  if (env.DINGTALK_WEBHOOK) {
+    channels.push({ type: "dingtalk", webhook: env.DINGTALK_WEBHOOK, secret: env.DINGTALK_SECRET || null });
+  }
+  if (env.WECOM_WEBHOOK) channels.push({ type: "wecom", webhook: env.WECOM_WEBHOOK });
+  if (env.DISCORD_WEBHOOK) channels.push({ type: "discord", webhook: env.DISCORD_WEBHOOK });
+  if (env.SMTP_HOST && env.EMAIL_TO) {
+    channels.push({
+      type: "email",
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT || "465"),
+      // 465 端口默认使用 TLS，其他端口默认 STARTTLS
+      secure: env.SMTP_SECURE ? env.SMTP_SECURE === "true" : (env.SMTP_PORT || "465") === "465",
+      user: env.SMTP_USER || null,
+      pass: env.SMTP_PASS || null,
+      from: env.EMAIL_FROM || env.SMTP_USER,
+      to: env.EMAIL_TO
+    });
+  }
+  // 通用 Webhook 支持多个地址，逗号分隔
+  for (const url of (env.NOTIFY_WEBHOOKS || "").split(",").map(item => item.trim()).filter(Boolean)) {
+    channels.push({ type: "webhook", url });
+  }
+  return channels;
+};
+
+/**
+ * 创建通知分发器
+ * notify(text, { report, model, urgent, channels }) 并行推送到所有（或指定类型的）渠道，
+ * 返回每个渠道的结果 [{ channel, ok, error }]；t 为消息与富文本报告使用的文案（见 templates.js）
+ */
+const createNotifier = (channels, { t = defaultT } = {}) => {
+  const notifiers = channels.map(config => {
+    const factory = NOTIFIER_FACTORIES[config.type];
+    if (!factory) throw new Error(`未知的通知渠道: ${config.type}（可选：${NOTIFIER_TYPES.join(", ")}）`);
+    return { channel: config.type, ...factory({ ...config, t }) };
+  });
+
+  const notify = async (text, { report = null, model = null, urgent = false, channels: only = null } = {}) => {
+    const targets = only ? notifiers.filter(notifier => only.includes(notifier.channel)) : notifiers;
+    if (targets.length === 0) {
+      console.warn("⚠️  没有配置通知渠道，跳过推送");
+      return [];
+    }
+
+    const message = toMessage(text, { report, model, urgent }, t);
+    const settled = await Promise.allSettled(targets.map(notifier => notifier.send(message)));
+    return settled.map((result, index) => {
+      const { channel } = targets[index];
+      if (result.status === "fulfilled") {
+        return { channel, ok: true };
+      }
+      console.warn(`⚠️  推送到 ${channel} 失败: ${result.reason.message}`);
+      return { channel, ok: false, error: result.reason.message };
+    });
+  };
+
+  return {
+    channels: notifiers.map(notifier => notifier.channel),
+    notify
+  };
+};
+
+export {
+  NOTIFIER_TYPES,
+  feishuCards,
+  loadNotifierConfig,
+  createNotifier
+};
@@ -0,0 +1,442 @@
+/**
+ * 报告数据模型与渲染
+ *
+ * 日报、周报与周期报告先整理为统一的报告模型，再分别渲染为纯文本（命令行、Markdown 渠道）
+ * 或飞书卡片（表格、趋势颜色、折线图与仓库链接）。
+ * 标题与文案来自 messages.json（见 templates.js），各函数的 t 缺省为内置的中文文案。
+ *
+ * 报告模型：
+ * {
+ *   kind: daily / weekly / monthly / quarterly / custom,
+ *   title, from, to, label,
+ *   previous, totals, groups,    // 仅周期报告
+ *   orgs,                        // 发现规则中组织、用户的合计
+ *   forecasts,                   // 月报、季报的 Stars 趋势预测（见 forecast.js）
+ *   repos: [{ repo, url, status, baseline, end, diff, discoveredBy, ... }],
+ *   failures: [{ repo, message }],
+ *   series: [{ date, repo, value }]  // 每日新增 Stars
+ * }
+ */
+import { formatStatsLines } from "./metrics.js";
+import { addDays, dailyChanges } from "./aggregate.js";
+import { formatMilestoneText } from "./forecast.js";
+import { defaultT } from "./templates.js";
+
+const REPORT_KINDS = ["daily", "weekly", "monthly", "quarterly", "custom"];
+
+const reportTitle = (kind, t = defaultT) => t(`title.${kind}`);
+
+// 折线图默认展示的天数与仓库数
+const CHART_DAYS = 14;
+const CHART_MAX_DAYS = 92;
+const CHART_MAX_REPOS = 6;
+
+const repoUrl = (repo) => `https://github.com/${repo}`;
+
+// ========== 报告模型 ==========
+
+// 区间内每日新增 Stars，按结束时 Stars 取前几个仓库
+const buildStarSeries = (data, items, { from, to }) => {
+  const start = addDays(to, -(CHART_MAX_DAYS - 1)) > from ? addDays(to, -(CHART_MAX_DAYS - 1)) : from;
+  const top = items
+    .filter(item => typeof item.end?.stats.stars === "number")
+    .sort((a, b) => b.end.stats.stars - a.end.stats.stars)
+    .slice(0, CHART_MAX_REPOS);
+  return top.flatMap(item => dailyChanges(data, item.repo, { from: start, to })
+    .map(change => ({ date: change.date.slice(5), repo: item.repo, value: change.value })));
+};
+
+// 日报：items 为 [{ repo, status, baseline, end, diff }]，折线图展示最近 CHART_DAYS 天
+// orgs 为组织合计（见 aggregate.js 的 groupTotals）
+const dailyReportModel = ({ date, items, failures, orgs = [] }, data, t = defaultT) => {
+  const repos = items.map(item => ({ status: "ok", ...item, url: repoUrl(item.repo) }));
+  return {
+    kind: "daily",
+    title: reportTitle("daily", t),
+    from: date,
+    to: date,
+    label: date,
+    orgs,
+    repos,
+    failures,
+    series: buildStarSeries(data, repos, { from: addDays(date, -(CHART_DAYS - 1)), to: date })
+  };
+};
+
+// 周报：aggregate 为 aggregatePeriod 的结果
+const weeklyReportModel = (aggregate, data, t = defaultT, { orgs = [] } = {}) => {
+  const repos = aggregate.repos.map(item => ({ ...item, url: repoUrl(item.repo) }));
+  return {
+    kind: "weekly",
+    title: reportTitle("weekly", t),
+    from: aggregate.from,
+    to: aggregate.to,
+    label: aggregate.label,
+    orgs,
+    repos,
+    failures: [],
+    series: buildStarSeries(data, repos, aggregate)
+  };
+};
+
+// 月报、季报与自定义区间：report 为 buildPeriodReport 的结果
+const periodReportModel = (report, data, t = defaultT) => {
+  const repos = report.repos.map(item => ({ ...item, url: repoUrl(item.repo) }));
+  return {
+    ...report,
+    title: reportTitle(report.kind, t),
+    repos,
+    failures: [],
+    series: buildStarSeries(data, repos, report)
+  };
+};
+
+// ========== 纯文本渲染 ==========
+
+const signed = (value) => `${value >= 0 ? "+" : ""}${value}`;
+
+const formatPercent = (value) => (value === null ? "-" : `${signed(value)}%`);
+
+// 与上一周期对比：本期增量与上期增量
+const formatComparison = (current, previous, t) => {
+  if (current === null || current === undefined) return "-";
+  if (previous === null || previous === undefined) return signed(current);
+  const change = current - previous;
+  return t("text.comparison", {
+    current: signed(current),
+    previous: signed(previous),
+    change: `${change >= 0 ? "↑" : "↓"}${Math.abs(change)}`
+  });
+};
+
+// 周期标签与起止日期不同时一并展示，如 2025-06（2025-06-01 ~ 2025-06-30）
+const periodLabel = (model, t) => {
+  const dates = `${model.from} ~ ${model.to}`;
+  return model.label === dates ? dates : t("text.labelledPeriod", { label: model.label, dates });
+};
+
+const snapshotNote = (item, model) => item.baseline.date !== addDays(model.from, -1) || item.end.date !== model.to;
+
+// 新仓库的说明：由发现规则新发现的仓库注明来源
+const newRepoText = (item, t) => (item.discoveredBy
+  ? t("text.discovered", { source: item.discoveredBy, date: item.firstSeen })
+  : t("text.noBaseline", { date: item.firstSeen }));
+
+// 缺少基线或没有数据的仓库的说明，正常仓库返回 null
+const statusText = (item, scope, t) => {
+  if (item.status === "no-data") return `⚠️ ${t(`text.noData.${scope}`)}\n`;
+  if (item.status === "no-baseline") {
+    return `🆕 ${newRepoText(item, t)}\n` + formatStatsLines(item.end.stats);
+  }
+  return null;
+};
+
+const failuresText = (failures, t) => `\n⚠️ ${t("text.failures", { count: failures.length })}\n` +
+  failures.map(f => `- ${f.repo}: ${f.message}`).join("\n") + "\n";
+
+// 分组合计：每个分组一行，key 为 text.group 或 text.org
+const groupLines = (groups, t, key = "text.group") => groups.map(group => t(key, {
+  name: group.name,
+  count: group.repos.length,
+  stars: group.stars ?? "-",
+  diff: formatComparison(group.starsDiff, group.previousStarsDiff, t),
+  commits: formatComparison(group.commitsDiff, group.previousCommitsDiff, t)
+}));
+
+// 组织合计，没有时为空字符串
+const orgsText = (model, t) => {
+  const lines = groupLines(model.orgs || [], t, "text.org");
+  return lines.length > 0 ? `\n🏢 ${t("text.orgs")}\n` + lines.map(line => `- ${line}`).join("\n") + "\n" : "";
+};
+
+const renderDailyText = (model, t) => {
+  let text = `【${model.title}】\n${t("text.date", { date: model.label })}\n` + orgsText(model, t);
+  for (const item of model.repos) {
+    text += `\n🔗 ${item.repo}\n` + (statusText(item, "range", t) ?? formatStatsLines(item.end.stats, item.diff));
+  }
+  if (model.failures.length > 0) {
+    text += failuresText(model.failures, t);
+  }
+  return text;
+};
+
+const renderWeeklyText = (model, t) => {
+  let text = `【${model.title}】\n${t("text.date", { date: `${model.from} ~ ${model.to}` })}\n` + orgsText(model, t);
+  for (const item of model.repos) {
+    text += `\n🔗 ${item.repo}\n`;
+    const status = statusText(item, "range", t);
+    if (status) {
+      text += status;
+      continue;
+    }
+    text += formatStatsLines(item.end.stats, item.diff);
+    // 实际使用的快照日期与区间边界不一致时注明
+    if (snapshotNote(item, model)) {
+      text += `📅 ${t("text.snapshots", { from: item.baseline.date, to: item.end.date })}\n`;
+    }
+  }
+  return text;
+};
+
+// 趋势预测：每个仓库一行，展示 EMA 趋势的预测值与置信区间，以及里程碑
+const forecastLines = (forecasts, t) => forecasts
+  .filter(forecast => forecast.status === "ok")
+  .map(forecast => t("forecast.repo", { repo: forecast.repo }) +
+    forecast.forecasts.map(item => t("forecast.horizon", { days: item.days, ...item.ema })).join(t("forecast.separator")) +
+    forecast.milestones.map(milestone => t("forecast.milestoneSeparator") + `🎯 ${formatMilestoneText(milestone, t)}`).join(""));
+
+const rankArrow = (change, t) => (change > 0 ? `↑${change}` : change < 0 ? `↓${-change}` : t("text.rankSame"));
+
+const renderPeriodText = (model, t) => {
+  let text = `【${model.title}】\n${t("text.period", { period: periodLabel(model, t) })}\n` +
+    `${t("text.previous", { previous: model.previous.label })}\n`;
+
+  text += `\n📊 ${t("text.totals")}\n` +
+    `⭐️ ${t("text.totalStars", { stars: model.totals.stars ?? "-", diff: formatComparison(model.totals.starsDiff, model.totals.previousStarsDiff, t) })}\n` +
+    `🔨 ${t("text.totalCommits", { diff: formatComparison(model.totals.commitsDiff, model.totals.previousCommitsDiff, t) })}\n`;
+
+  text += orgsText(model, t);
+  const groups = groupLines(model.groups || [], t);
+  if (groups.length > 0) {
+    text += `\n🏷️ ${t("text.groups")}\n` + groups.map(line => `- ${line}`).join("\n") + "\n";
+  }
+
+  for (const item of model.repos) {
+    text += `\n🔗 ${item.repo}\n`;
+    const status = statusText(item, "period", t);
+    if (status) {
+      text += status;
+      continue;
+    }
+    text += formatStatsLines(item.end.stats, item.diff);
+    text += `📈 ${t("text.growth", { growth: formatPercent(item.growth.stars), diff: formatComparison(item.diff.stars, item.previousDiff?.stars, t) })}\n`;
+    if (item.bestDay) {
+      text += `🔥 ${t("text.bestWorstDay", {
+        best: item.bestDay.date,
+        bestValue: signed(item.bestDay.value),
+        worst: item.worstDay.date,
+        worstValue: signed(item.worstDay.value)
+      })}\n`;
+    }
+    if (item.rank.change !== null) {
+      text += `🏆 ${t("text.rank", { start: item.rank.start, end: item.rank.end, change: rankArrow(item.rank.change, t) })}\n`;
+    }
+  }
+
+  const forecasts = forecastLines(model.forecasts || [], t);
+  if (forecasts.length > 0) {
+    text += `\n🔮 ${t("forecast.heading")}\n` + forecasts.map(line => `- ${line}`).join("\n") + "\n";
+  }
+  return text;
+};
+
+const renderText = (model, t = defaultT) => {
+  if (model.kind === "daily") return renderDailyText(model, t);
+  if (model.kind === "weekly") return renderWeeklyText(model, t);
+  return renderPeriodText(model, t);
+};
+
+// ========== 飞书卡片渲染 ==========
+
+// 增量按正负着色：增加为绿色、减少为红色、持平或缺失为灰色
+const deltaOption = (value, suffix = "") => {
+  if (value === null || value === undefined) return [{ text: "-", color: "neutral" }];
+  if (value === 0) return [{ text: `0${suffix}`, color: "neutral" }];
+  return [{ text: `${signed(value)}${suffix}`, color: value > 0 ? "green" : "red" }];
+};
+
+const rankText = (rank) => {
+  if (!rank || rank.change === null) return "-";
+  const arrow = rank.change > 0 ? ` ↑${rank.change}` : rank.change < 0 ? ` ↓${-rank.change}` : "";
+  return `${rank.start} → ${rank.end}${arrow}`;
+};
+
+// 表格列，display_name 为 messages.json 中 column.<name> 的文案
+const TABLE_COLUMNS = [
+  { name: "repo", data_type: "markdown", width: "auto" },
+  { name: "stars", data_type: "text", horizontal_align: "right" },
+  { name: "starsDiff", data_type: "options" },
+  { name: "forksDiff", data_type: "options" },
+  { name: "commitsDiff", data_type: "options" },
+  { name: "issuesDiff", data_type: "options" }
+];
+
+const PERIOD_COLUMNS = [
+  { name: "growth", data_type: "options" },
+  { name: "rank", data_type: "text" }
+];
+
+const tableColumns = (columns, t) => columns.map(({ name, ...column }) => ({ name, display_name: t(`column.${name}`), ...column }));
+
+const tableRow = (item, isPeriod) => {
+  const row = {
+    repo: `[${item.repo}](${item.url})`,
+    stars: item.end ? String(item.end.stats.stars ?? "-") : "-",
+    starsDiff: deltaOption(item.diff?.stars),
+    forksDiff: deltaOption(item.diff?.forks),
+    commitsDiff: deltaOption(item.diff?.commits),
+    issuesDiff: deltaOption(item.diff?.issues)
+  };
+  if (isPeriod) {
+    row.growth = deltaOption(item.growth?.stars ?? null, "%");
+    row.rank = rankText(item.rank);
+  }
+  return row;
+};
+
+const markdown = (content) => ({ tag: "markdown", content, text_size: "normal_v2" });
+
+// 周期报告的合计指标，每项一列
+const totalsColumns = (totals, t) => {
+  const column = (title, value, previous) => ({
+    tag: "column",
+    width: "weighted",
+    weight: 1,
+    background_style: "grey-50",
+    padding: "8px 8px 8px 8px",
+    elements: [markdown(`**${title}**\n${value}` + (previous ? `\n<font color='grey'>${previous}</font>` : ""))]
+  });
+  const diffText = (value) => (value === null ? "-" : `<font color='${value >= 0 ? "green" : "red"}'>${signed(value)}</font>`);
+  return {
+    tag: "column_set",
+    horizontal_spacing: "8px",
+    columns: [
+      column(t("column.stars"), String(totals.stars ?? "-")),
+      column(t("column.starsDiff"), diffText(totals.starsDiff),
+        totals.previousStarsDiff === null ? null : t("card.previous", { diff: signed(totals.previousStarsDiff) })),
+      column(t("column.commitsDiff"), diffText(totals.commitsDiff),
+        totals.previousCommitsDiff === null ? null : t("card.previous", { diff: signed(totals.previousCommitsDiff) }))
+    ]
+  };
+};
+
+// 缺少基线、采集空缺、最佳单日等补充说明
+const notesMarkdown = (model, t) => {
+  const notes = [];
+  const note = (emoji, repo, text) => notes.push(`${emoji} ${t("card.note", { repo, text })}`);
+  for (const item of model.repos) {
+    if (item.status === "no-data") {
+      note("⚠️", item.repo, t("text.noData.range"));
+    } else if (item.status === "no-baseline") {
+      note("🆕", item.repo, newRepoText(item, t));
+    } else if (model.kind !== "daily" && snapshotNote(item, model)) {
+      note("📅", item.repo, t("text.snapshots", { from: item.baseline.date, to: item.end.date }));
+    }
+    if (item.bestDay && item.bestDay.value > 0) {
+      note("🔥", item.repo, t("card.bestDay", { date: item.bestDay.date, value: signed(item.bestDay.value) }));
+    }
+  }
+  return notes.length > 0 ? markdown(notes.join("\n")) : null;
+};
+
+const starChart = (series, t) => ({
+  tag: "chart",
+  aspect_ratio: "16:9",
+  chart_spec: {
+    type: "line",
+    title: { text: t("card.chartTitle") },
+    data: { values: series },
+    xField: "date",
+    yField: "value",
+    seriesField: "repo",
+    point: { visible: false },
+    legends: { visible: true, orient: "bottom" }
+  }
+});
+
+const repoButtons = (repos) => ({
+  tag: "column_set",
+  flex_mode: "flow",
+  horizontal_spacing: "8px",
+  columns: repos.slice(0, 10).map(item => ({
+    tag: "column",
+    width: "auto",
+    elements: [{
+      tag: "button",
+      text: { tag: "plain_text", content: item.repo },
+      type: "default",
+      size: "small",
+      behaviors: [{ type: "open_url", default_url: item.url }]
+    }]
+  }))
+});
+
+const renderFeishuCard = (model, t = defaultT) => {
+  const isPeriod = Boolean(model.totals);
+  const dates = model.from === model.to ? model.from : `${model.from} ~ ${model.to}`;
+  const elements = [];
+
+  if (isPeriod) {
+    elements.push(totalsColumns(model.totals, t));
+  }
+  const orgs = groupLines(model.orgs || [], t, "text.org");
+  if (orgs.length > 0) {
+    elements.push(markdown(`**🏢 ${t("text.orgs")}**\n` + orgs.map(line => `- ${line}`).join("\n")));
+  }
+  const groups = groupLines(model.groups || [], t);
+  if (groups.length > 0) {
+    elements.push(markdown(`**🏷️ ${t("text.groups")}**\n` + groups.map(line => `- ${line}`).join("\n")));
+  }
+  if (model.repos.length > 0) {
+    elements.push({
+      tag: "table",
+      page_size: Math.min(model.repos.length, 10),
+      row_height: "low",
+      freeze_first_column: true,
+      header_style: { background_style: "grey", bold: true, lines: 1 },
+      columns: tableColumns(isPeriod ? [...TABLE_COLUMNS, ...PERIOD_COLUMNS] : TABLE_COLUMNS, t),
+      rows: model.repos.map(item => tableRow(item, isPeriod))
+    });
+  }
+
+  const notes = notesMarkdown(model, t);
+  if (notes) elements.push(notes);
+
+  // 至少两天的数据才绘制折线
+  if (new Set(model.series.map(point => point.date)).size >= 2) {
+    elements.push(starChart(model.series, t));
+  }
+
+  const forecasts = forecastLines(model.forecasts || [], t);
+  if (forecasts.length > 0) {
+    elements.push(markdown(`**🔮 ${t("forecast.heading")}**\n` + forecasts.map(line => `- ${line}`).join("\n")));
+  }
+
+  if (model.failures.length > 0) {
+    elements.push(markdown(`<font color='red'>⚠️ ${t("text.failures", { count: model.failures.length })}</font>\n` +
+      model.failures.map(f => `- ${f.repo}: ${f.message}`).join("\n")));
+  }
+  if (model.repos.length > 0) {
+    elements.push(repoButtons(model.repos));
+  }
+
+  return {
+    schema: "2.0",
+    config: { update_multi: true, width_mode: "fill" },
+    header: {
+      title: { tag: "plain_text", content: model.title },
+      subtitle: {
+        tag: "plain_text",
+        content: isPeriod
+          ? t("card.subtitle", { period: periodLabel(model, t), previous: model.previous.label })
+          : dates
+      },
+      template: model.failures.length > 0 ? "orange" : "blue"
+    },
+    body: {
+      direction: "vertical",
+      padding: "12px 12px 12px 12px",
+      elements
+    }
+  };
+};
+
+export {
+  REPORT_KINDS,
+  reportTitle,
+  dailyReportModel,
+  weeklyReportModel,
+  periodReportModel,
+  renderText,
+  renderFeishuCard
+};
@@ -0,0 +1,189 @@
+/**
+ * 常驻定时任务
+ *
+ * 每个任务的 cron 表达式与时区来自环境变量（SCHEDULE_<任务>、SCHEDULE_<任务>_TZ、SCHEDULE_TZ）。
+ * 所有任务串行执行；同一任务上一次尚未结束时，本次触发会被跳过。
+ * 状态文件记录每个任务的下一次计划时间与最近的运行结果，重启后据此补跑停机期间错过的任务（每个任务只补跑最近一次）。
+ */
+import fs from "fs";
+import schedule from "node-schedule";
+import { writeFileAtomic } from "./storage.js";
+
+const SCHEDULE_JOBS = ["daily", "weekly", "monthly", "quarterly", "analysis"];
+
+// 默认与 GitHub Actions 保持一致：每天 9:00 日报，每周三 19:00 周报与智能分析，每月 1 日 10:00 月报
+const DEFAULT_SCHEDULES = {
+  daily: "0 9 * * *",
+  weekly: "",
+  monthly: "0 10 1 * *",
+  quarterly: "",
+  analysis: "0 19 * * 3"
+};
+
+const DEFAULT_TIMEZONE = "Asia/Shanghai";
+const DEFAULT_STATE_FILE = ".scheduler-state.json";
+const HISTORY_SIZE = 50;
+
+// 从环境变量读取定时配置；表达式为空或 off 的任务不启用
+const loadScheduleConfig = (env = process.env) => {
+  const timezone = env.SCHEDULE_TZ || DEFAULT_TIMEZONE;
+  const jobs = SCHEDULE_JOBS
+    .map(name => {
+      const key = name.toUpperCase();
+      return {
+        name,
+        cron: (env[`SCHEDULE_${key}`] ?? DEFAULT_SCHEDULES[name]).trim(),
+        timezone: env[`SCHEDULE_${key}_TZ`] || timezone
+      };
+    })
+    .filter(job => job.cron && job.cron !== "off");
+
+  return {
+    jobs,
+    catchUp: env.SCHEDULE_CATCH_UP !== "false",
+    stateFile: env.SCHEDULE_STATE_FILE || DEFAULT_STATE_FILE
+  };
+};
+
+const loadState = (stateFile) => {
+  try {
+    const state = JSON.parse(fs.readFileSync(stateFile, "utf-8"));
+    return { jobs: state.jobs || {}, history: state.history || [] };
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      console.warn(`⚠️  定时任务状态文件 ${stateFile} 读取失败，将重新记录: ${e.message}`);
+    }
+    return { jobs: {}, history: [] };
+  }
+};
+
+const toISOString = (date) => (date ? new Date(date.getTime()).toISOString() : null);
+
+/**
+ * 创建定时任务调度器
+ * runners: { 任务名: async (scheduledAt: Date) => ({ failures? }) }，failures 为失败的仓库或推送渠道
+ * 返回 { start, stop, state }
+ */
+const createScheduler = ({ jobs, runners, stateFile = DEFAULT_STATE_FILE, catchUp = true }) => {
+  const state = loadState(stateFile);
+  const scheduled = new Map();
+  // 已排队或正在运行的任务，用于防止同一任务重叠执行
+  const active = new Set();
+  let queue = Promise.resolve();
+
+  const saveState = () => {
+    try {
+      writeFileAtomic(stateFile, JSON.stringify(state, null, 2));
+    } catch (e) {
+      console.warn(`⚠️  定时任务状态保存失败: ${e.message}`);
+    }
+  };
+
+  // 记录任务的下一次计划时间，供重启后判断是否错过
+  const updateNextRun = (name) => {
+    const job = scheduled.get(name);
+    if (!job) return;
+    state.jobs[name] = {
+      ...state.jobs[name],
+      cron: jobs.find(item => item.name === name).cron,
+      nextRun: toISOString(job.nextInvocation())
+    };
+  };
+
+  const record = (outcome) => {
+    state.jobs[outcome.job] = { ...state.jobs[outcome.job], lastRun: outcome };
+    state.history = [...state.history, outcome].slice(-HISTORY_SIZE);
+    updateNextRun(outcome.job);
+    saveState();
+  };
+
+  const runJob = (name, scheduledAt, trigger) => {
+    if (active.has(name)) {
+      console.warn(`⏭️  任务 ${name} 上一次运行尚未结束，跳过本次触发（${scheduledAt.toISOString()}）`);
+      record({ job: name, trigger, scheduledAt: scheduledAt.toISOString(), status: "skipped" });
+      return queue;
+    }
+
+    active.add(name);
+    queue = queue.then(async () => {
+      const startedAt = new Date();
+      console.log(`⏰ 开始执行定时任务 ${name}（${trigger === "catch-up" ? "补跑" : "定时"}，计划时间 ${scheduledAt.toISOString()}）`);
+      const outcome = { job: name, trigger, scheduledAt: scheduledAt.toISOString(), startedAt: startedAt.toISOString() };
+      try {
+        const result = await runners[name](scheduledAt);
+        const failures = result?.failures || [];
+        outcome.status = failures.length > 0 ? "partial" : "ok";
+        if (failures.length > 0) {
+          outcome.error = failures.map(failure => `${failure.repo ?? failure.channel}: ${failure.message ?? failure.error}`).join("; ");
+        }
+      } catch (e) {
+        outcome.status = "error";
+        outcome.error = e.message;
+      } finally {
+        active.delete(name);
+      }
+      outcome.finishedAt = new Date().toISOString();
+      outcome.durationMs = Date.now() - startedAt.getTime();
+
+      const icons = { ok: "✅", partial: "⚠️ ", error: "❌" };
+      console.log(`${icons[outcome.status]} 定时任务 ${name} ${outcome.status}，耗时 ${Math.round(outcome.durationMs / 1000)} 秒` +
+        (outcome.error ? `：${outcome.error}` : ""));
+      record(outcome);
+    });
+    return queue;
+  };
+
+  const start = () => {
+    const now = Date.now();
+    const missed = [];
+
+    for (const job of jobs) {
+      if (!runners[job.name]) {
+        throw new Error(`未知的定时任务: ${job.name}`);
+      }
+      const scheduledJob = schedule.scheduleJob(
+        job.name,
+        { rule: job.cron, tz: job.timezone },
+        (fireDate) => runJob(job.name, fireDate, "schedule")
+      );
+      if (!scheduledJob) {
+        throw new Error(`无效的定时配置 ${job.name}: "${job.cron}"（时区 ${job.timezone}）`);
+      }
+      scheduled.set(job.name, scheduledJob);
+
+      const previous = state.jobs[job.name];
+      if (catchUp && previous?.nextRun && previous.cron === job.cron && Date.parse(previous.nextRun) <= now) {
+        missed.push({ name: job.name, scheduledAt: new Date(previous.nextRun) });
+      } else {
+        updateNextRun(job.name);
+      }
+      console.log(`🗓️  定时任务 ${job.name}: ${job.cron}（${job.timezone}），下次执行 ${toISOString(scheduledJob.nextInvocation()) ?? "-"}`);
+    }
+    saveState();
+
+    for (const { name, scheduledAt } of missed) {
+      console.log(`🔁 任务 ${name} 在停机期间错过了 ${scheduledAt.toISOString()} 的执行，开始补跑`);
+      runJob(name, scheduledAt, "catch-up");
+    }
+  };
+
+  // 停止触发新任务，并等待正在执行的任务结束
+  const stop = async () => {
+    for (const [name, job] of scheduled) {
+      updateNextRun(name);
+      job.cancel();
+    }
+    scheduled.clear();
+    saveState();
+    await queue;
+  };
+
+  return { start, stop, state };
+};
+
+export {
+  SCHEDULE_JOBS,
+  DEFAULT_SCHEDULES,
+  loadScheduleConfig,
+  createScheduler
+};
@@ -0,0 +1,523 @@
+/**
+ * 历史快照存储
+ *
+ * 所有存储后端提供相同的同步接口，数据结构与 data.json 一致（日期 -> 仓库 -> 指标）：
+ * - load()：读取全部历史
+ * - query({ repos, from, to })：按仓库与日期范围（含首尾）读取
+ * - save(data)：写入完整历史
+ * - saveDay(date, day)：写入某一天的快照
+ * - fill(data)：只写入尚不存在的快照（日期 + 仓库），返回写入的条数
+ * - close()：释放资源
+ *
+ * - verify()：完整性检查，返回 { ok, error, backups }
+ *
+ * 可选后端：json（单个 JSON 文件）、jsonl（追加写日志）、sqlite（嵌入式数据库）
+ *
+ * 文件类后端的写入都在跨进程锁内进行，json 采用先写临时文件再 rename 的原子写入并保留滚动备份。
+ * 已有历史无法解析时抛出 DataCorruptionError，拒绝用空数据覆盖。
+ */
+import fs from "fs";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
+const STORAGE_TYPES = ["json", "jsonl", "sqlite"];
+
+const DEFAULT_PATHS = {
+  json: "data.json",
+  jsonl: "data.jsonl",
+  sqlite: "data.db"
+};
+
+class StorageError extends Error {
+  constructor(message, { type = null, path = null } = {}) {
+    super(message);
+    this.name = "StorageError";
+    this.type = type;
+    this.path = path;
+  }
+}
+
+// 历史文件存在内容但无法解析
+class DataCorruptionError extends StorageError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "DataCorruptionError";
+  }
+}
+
+// 滚动备份数量：data.json.bak.1（最新）~ data.json.bak.N
+const BACKUP_COUNT = 5;
+
+// 锁文件超过该时间未释放视为残留（持有进程崩溃）
+const LOCK_STALE_MS = 60 * 1000;
+const LOCK_TIMEOUT_MS = 30 * 1000;
+
+// 同步等待（存储接口是同步的）
+const sleepSync = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+const isProcessAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === "EPERM";
+  }
+};
+
+// 跨进程文件锁：以 wx 方式创建 <path>.lock，持有期间执行 fn
+const withFileLock = (path, fn, { timeout = LOCK_TIMEOUT_MS, staleMs = LOCK_STALE_MS } = {}) => {
+  const lockFile = `${path}.lock`;
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    try {
+      fs.writeFileSync(lockFile, JSON.stringify({ pid: process.pid, time: Date.now() }), { flag: "wx" });
+      break;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+    }
+
+    // 清理持有进程已退出或超时的残留锁
+    try {
+      const holder = JSON.parse(fs.readFileSync(lockFile, "utf-8"));
+      if (!isProcessAlive(holder.pid) || Date.now() - holder.time > staleMs) {
+        console.warn(`⚠️  清理残留的锁文件 ${lockFile}（pid ${holder.pid}）`);
+        fs.rmSync(lockFile, { force: true });
+        continue;
+      }
+    } catch {
+      // 锁文件正在被创建或已被释放，稍后重试
+    }
+
+    if (Date.now() > deadline) {
+      throw new StorageError(`等待锁文件 ${lockFile} 超时，可能有其他进程正在写入`, { path });
+    }
+    sleepSync(100);
+  }
+
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lockFile, { force: true });
+  }
+};
+
+// 原子写入：先写同目录临时文件并 fsync，再 rename 覆盖目标文件
+const writeFileAtomic = (path, content) => {
+  const tmpFile = `${path}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    const fd = fs.openSync(tmpFile, "w");
+    try {
+      fs.writeSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpFile, path);
+  } catch (e) {
+    fs.rmSync(tmpFile, { force: true });
+    throw e;
+  }
+};
+
+const parseJson = (content) => {
+  try {
+    return { ok: true, data: content.trim() ? JSON.parse(content) : {} };
+  } catch (e) {
+    return { ok: false, error: e };
+  }
+};
+
+// 轮转备份：.bak.1 -> .bak.2 ...，当前文件复制为 .bak.1
+const rotateBackups = (path) => {
+  for (let i = BACKUP_COUNT - 1; i >= 1; i--) {
+    if (fs.existsSync(`${path}.bak.${i}`)) {
+      fs.renameSync(`${path}.bak.${i}`, `${path}.bak.${i + 1}`);
+    }
+  }
+  fs.copyFileSync(path, `${path}.bak.1`);
+};
+
+// 列出可以正常解析的备份文件（从新到旧）
+const listValidBackups = (path, isValid) => {
+  const backups = [];
+  for (let i = 1; i <= BACKUP_COUNT; i++) {
+    const backup = `${path}.bak.${i}`;
+    if (fs.existsSync(backup) && isValid(fs.readFileSync(backup, "utf-8"))) {
+      backups.push(backup);
+    }
+  }
+  return backups;
+};
+
+const inRange = (date, from, to) => (!from || date >= from) && (!to || date <= to);
+
+// 从完整历史中筛选仓库与日期范围
+const filterData = (data, { repos = null, from = null, to = null } = {}) => {
+  const result = {};
+  for (const date of Object.keys(data).sort()) {
+    if (!inRange(date, from, to)) continue;
+    for (const [repo, stats] of Object.entries(data[date])) {
+      if (repos && !repos.includes(repo)) continue;
+      result[date] = result[date] || {};
+      result[date][repo] = stats;
+    }
+  }
+  return result;
+};
+
+// ========== JSON 文件 ==========
+
+const createJsonStorage = (path) => {
+  const read = () => {
+    if (!fs.existsSync(path)) return { ok: true, data: {}, empty: true };
+    const content = fs.readFileSync(path, "utf-8");
+    return { ...parseJson(content), empty: !content.trim() };
+  };
+
+  const load = () => {
+    const result = read();
+    if (!result.ok) {
+      throw new DataCorruptionError(`数据文件 ${path} 无法解析: ${result.error.message}`, { type: "json", path });
+    }
+    return result.data;
+  };
+
+  // 在锁内读取当前内容，交给 update 生成新内容后原子写入
+  const write = (update) => withFileLock(path, () => {
+    const current = read();
+    if (!current.ok) {
+      throw new DataCorruptionError(
+        `数据文件 ${path} 无法解析，拒绝覆盖已有历史: ${current.error.message}`,
+        { type: "json", path }
+      );
+    }
+    if (!current.empty) rotateBackups(path);
+    writeFileAtomic(path, JSON.stringify(update(current.data), null, 2));
+  });
+
+  const verify = () => {
+    const result = read();
+    return {
+      ok: result.ok,
+      error: result.ok ? null : result.error.message,
+      backups: result.ok ? [] : listValidBackups(path, content => parseJson(content).ok)
+    };
+  };
+
+  return {
+    type: "json",
+    path,
+    load,
+    query: (options) => filterData(load(), options),
+    save: (data) => write(() => data),
+    saveDay: (date, day) => write(data => ({ ...data, [date]: { ...data[date], ...day } })),
+    fill: (data) => {
+      let filled = 0;
+      write(current => {
+        const merged = { ...current };
+        for (const [date, day] of Object.entries(data)) {
+          for (const [repo, stats] of Object.entries(day)) {
+            if (merged[date]?.[repo]) continue;
+            merged[date] = { ...merged[date], [repo]: stats };
+            filled++;
+          }
+        }
+        // 按日期排序后写回
+        return Object.fromEntries(Object.keys(merged).sort().map(date => [date, merged[date]]));
+      });
+      return filled;
+    },
+    verify,
+    close: () => {}
+  };
+};
+
+// ========== JSONL 追加日志 ==========
+
+// 每行一条记录：{"date":"2025-05-29","repo":"owner/name","stats":{...}}
+// 同一日期与仓库的多条记录以最后一条为准
+const JSONL_HEADER = /^\{"date":"(\d{4}-\d{2}-\d{2})","repo":"([^"]+)"/;
+
+const createJsonlStorage = (path) => {
+  const toLine = (date, repo, stats) => JSON.stringify({ date, repo, stats }) + "\n";
+
+  const readLines = () => {
+    if (!fs.existsSync(path)) return [];
+    return fs.readFileSync(path, "utf-8").split("\n").filter(line => line.trim());
+  };
+
+  // 写入中途崩溃只会留下不完整的最后一行，跳过即可；中间行损坏视为文件损坏
+  const parseLine = (line, index, total) => {
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      if (index === total - 1) {
+        console.warn(`⚠️  ${path} 最后一行不完整，已忽略`);
+        return null;
+      }
+      throw new DataCorruptionError(`数据文件 ${path} 第 ${index + 1} 行无法解析: ${e.message}`, { type: "jsonl", path });
+    }
+  };
+
+  // 先用行首的日期与仓库过滤，只解析命中的行
+  const query = ({ repos = null, from = null, to = null } = {}) => {
+    const data = {};
+    const lines = readLines();
+    for (const [index, line] of lines.entries()) {
+      const header = line.match(JSONL_HEADER);
+      if (header && (!inRange(header[1], from, to) || (repos && !repos.includes(header[2])))) continue;
+      const record = parseLine(line, index, lines.length);
+      if (!record) continue;
+      const { date, repo, stats } = record;
+      if (!inRange(date, from, to) || (repos && !repos.includes(repo))) continue;
+      data[date] = data[date] || {};
+      data[date][repo] = stats;
+    }
+    return filterData(data);
+  };
+
+  // 追加前截掉上次崩溃留下的不完整最后一行，调用方需持有锁
+  const appendLocked = (lines) => {
+    if (fs.existsSync(path)) {
+      const content = fs.readFileSync(path, "utf-8");
+      if (content && !content.endsWith("\n")) {
+        console.warn(`⚠️  截断 ${path} 中不完整的最后一行`);
+        fs.truncateSync(path, Buffer.byteLength(content.slice(0, content.lastIndexOf("\n") + 1)));
+      }
+    }
+    fs.appendFileSync(path, lines);
+  };
+
+  const append = (lines) => {
+    if (!lines) return;
+    withFileLock(path, () => appendLocked(lines));
+  };
+
+  const saveDay = (date, day) => {
+    append(Object.entries(day).map(([repo, stats]) => toLine(date, repo, stats)).join(""));
+  };
+
+  // 只追加有变化的记录
+  const save = (data) => {
+    const current = query();
+    let lines = "";
+    for (const date of Object.keys(data).sort()) {
+      for (const [repo, stats] of Object.entries(data[date])) {
+        if (JSON.stringify(current[date]?.[repo]) !== JSON.stringify(stats)) {
+          lines += toLine(date, repo, stats);
+        }
+      }
+    }
+    append(lines);
+  };
+
+  // 在锁内读取当前记录，只追加尚不存在的快照
+  const fill = (data) => withFileLock(path, () => {
+    const current = query();
+    let lines = "";
+    let filled = 0;
+    for (const date of Object.keys(data).sort()) {
+      for (const [repo, stats] of Object.entries(data[date])) {
+        if (current[date]?.[repo]) continue;
+        lines += toLine(date, repo, stats);
+        filled++;
+      }
+    }
+    if (lines) appendLocked(lines);
+    return filled;
+  });
+
+  const verify = () => {
+    try {
+      query();
+      return { ok: true, error: null, backups: [] };
+    } catch (e) {
+      return { ok: false, error: e.message, backups: [] };
+    }
+  };
+
+  return {
+    type: "jsonl",
+    path,
+    load: () => query(),
+    query,
+    save,
+    saveDay,
+    fill,
+    verify,
+    close: () => {}
+  };
+};
+
+// ========== SQLite ==========
+
+// 优先使用 Node.js 内置的 node:sqlite（22.5+），否则使用可选依赖 better-sqlite3
+const openSqliteDatabase = (path) => {
+  try {
+    const { DatabaseSync } = require("node:sqlite");
+    return new DatabaseSync(path);
+  } catch {
+    // 当前 Node.js 版本没有内置 sqlite
+  }
+  try {
+    const Database = require("better-sqlite3");
+    return new Database(path);
+  } catch (e) {
+    throw new StorageError(
+      `无法加载 SQLite 驱动，请升级到 Node.js 22.5+ 或安装 better-sqlite3（${e.message}）`,
+      { type: "sqlite", path }
+    );
+  }
+};
+
+const createSqliteStorage = (path) => {
+  const db = openSqliteDatabase(path);
+  // 多个进程同时写入时等待而不是立即报 SQLITE_BUSY
+  db.exec("PRAGMA busy_timeout = 5000");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS snapshots (
+      date TEXT NOT NULL,
+      repo TEXT NOT NULL,
+      stats TEXT NOT NULL,
+      PRIMARY KEY (date, repo)
+    );
+    CREATE INDEX IF NOT EXISTS idx_snapshots_repo_date ON snapshots (repo, date);
+  `);
+
+  const upsert = db.prepare("INSERT OR REPLACE INTO snapshots (date, repo, stats) VALUES (?, ?, ?)");
+  const insertMissing = db.prepare("INSERT OR IGNORE INTO snapshots (date, repo, stats) VALUES (?, ?, ?)");
+
+  const transaction = (fn) => {
+    db.exec("BEGIN");
+    try {
+      fn();
+      db.exec("COMMIT");
+    } catch (e) {
+      db.exec("ROLLBACK");
+      throw e;
+    }
+  };
+
+  const query = ({ repos = null, from = null, to = null } = {}) => {
+    const conditions = [];
+    const params = [];
+    if (from) {
+      conditions.push("date >= ?");
+      params.push(from);
+    }
+    if (to) {
+      conditions.push("date <= ?");
+      params.push(to);
+    }
+    if (repos) {
+      conditions.push(`repo IN (${repos.map(() => "?").join(", ")})`);
+      params.push(...repos);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const rows = db.prepare(`SELECT date, repo, stats FROM snapshots ${where} ORDER BY date, repo`).all(...params);
+
+    const data = {};
+    for (const row of rows) {
+      data[row.date] = data[row.date] || {};
+      data[row.date][row.repo] = JSON.parse(row.stats);
+    }
+    return data;
+  };
+
+  const saveDay = (date, day) => {
+    transaction(() => {
+      for (const [repo, stats] of Object.entries(day)) {
+        upsert.run(date, repo, JSON.stringify(stats));
+      }
+    });
+  };
+
+  const save = (data) => {
+    transaction(() => {
+      for (const [date, day] of Object.entries(data)) {
+        for (const [repo, stats] of Object.entries(day)) {
+          upsert.run(date, repo, JSON.stringify(stats));
+        }
+      }
+    });
+  };
+
+  const fill = (data) => {
+    let filled = 0;
+    transaction(() => {
+      for (const [date, day] of Object.entries(data)) {
+        for (const [repo, stats] of Object.entries(day)) {
+          filled += Number(insertMissing.run(date, repo, JSON.stringify(stats)).changes);
+        }
+      }
+    });
+    return filled;
+  };
+
+  const verify = () => {
+    const result = db.prepare("PRAGMA integrity_check").get();
+    const message = Object.values(result)[0];
+    return { ok: message === "ok", error: message === "ok" ? null : message, backups: [] };
+  };
+
+  return {
+    type: "sqlite",
+    path,
+    load: () => query(),
+    query,
+    save,
+    saveDay,
+    fill,
+    verify,
+    close: () => db.close()
+  };
+};
+
+// ========== 工厂与迁移 ==========
+
+const createStorage = ({ type = "json", path = null } = {}) => {
+  const resolvedPath = path || DEFAULT_PATHS[type];
+  switch (type) {
+    case "json":
+      return createJsonStorage(resolvedPath);
+    case "jsonl":
+      return createJsonlStorage(resolvedPath);
+    case "sqlite":
+      return createSqliteStorage(resolvedPath);
+    default:
+      throw new StorageError(`未知的存储类型: ${type}（可选：${STORAGE_TYPES.join(", ")}）`, { type });
+  }
+};
+
+// 解析 "sqlite:data.db" 形式的存储描述；省略类型时按扩展名推断
+const parseStorageSpec = (spec) => {
+  const match = spec.match(/^(json|jsonl|sqlite):(.*)$/);
+  if (match) return { type: match[1], path: match[2] || null };
+  if (spec.endsWith(".jsonl")) return { type: "jsonl", path: spec };
+  if (spec.endsWith(".db") || spec.endsWith(".sqlite")) return { type: "sqlite", path: spec };
+  return { type: "json", path: spec };
+};
+
+// 将源存储的全部历史写入目标存储，返回迁移的日期数与记录数
+const migrateStorage = (source, target) => {
+  const data = source.load();
+  target.save(data);
+  const dates = Object.keys(data).length;
+  const records = Object.values(data).reduce((sum, day) => sum + Object.keys(day).length, 0);
+  return { dates, records };
+};
+
+export {
+  STORAGE_TYPES,
+  DEFAULT_PATHS,
+  StorageError,
+  DataCorruptionError,
+  withFileLock,
+  writeFileAtomic,
+  filterData,
+  createStorage,
+  parseStorageSpec,
+  migrateStorage
+};
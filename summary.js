@@ -0,0 +1,229 @@
+/**
+ * AI 分析的数据摘要
+ *
+ * 不再把完整的历史快照放进提示词，而是由程序预先计算各仓库的现状、区间增量、增长率、排名、
+ * 单日极值与趋势斜率，整理为紧凑的 Markdown 表格。模型直接引用算好的数值，不需要自己数差值。
+ *
+ * 摘要按 token 预算裁剪，超出时依次：减少每月历史的列（保留最近的月份）、减少区间内分段的列、
+ * 去掉每月历史与分段表、只保留 Stars 最多的若干仓库。
+ * 标题与表头来自 messages.json 的 summary.*（见 templates.js），t 缺省为内置中文。
+ */
+import { normalizeStats } from "./metrics.js";
+import { addDays, daysBetween, periodRange, aggregateRepo, buildPeriodReport } from "./aggregate.js";
+import { forecastRepo } from "./forecast.js";
+import { defaultT } from "./templates.js";
+
+const DEFAULT_TOKEN_BUDGET = 6000;
+// 区间不超过该天数时按天分段，否则按 7 天分段；超过 SEGMENT_MAX_DAYS 时只看每月历史
+const DAILY_SEGMENT_DAYS = 14;
+const SEGMENT_MAX_DAYS = 92;
+const MIN_COLUMNS = 3;
+const MIN_REPOS = 3;
+
+// 粗略估算 token 数：中日韩字符约 1 个 token，其他字符约 4 个一个 token
+const estimateTokens = (text) => {
+  let tokens = 0;
+  for (const char of text) {
+    tokens += char.codePointAt(0) >= 0x2e80 ? 1 : 0.25;
+  }
+  return Math.ceil(tokens);
+};
+
+// ========== 格式化 ==========
+
+const cell = (value) => (value === null || value === undefined ? "-" : String(value));
+
+const signed = (value) => (value === null || value === undefined ? "-" : `${value > 0 ? "+" : ""}${value}`);
+
+const table = (headers, rows) => [
+  `| ${headers.join(" | ")} |`,
+  `| ${headers.map(() => "---").join(" | ")} |`,
+  ...rows.map(row => `| ${row.map(cell).join(" | ")} |`)
+].join("\n");
+
+// ========== 分段 ==========
+
+// 区间内的分段：短区间按天，较长区间从结束日往前每 7 天一段
+const windowSegments = ({ from, to }) => {
+  const days = daysBetween(from, to) + 1;
+  if (days > SEGMENT_MAX_DAYS) return [];
+  if (days <= DAILY_SEGMENT_DAYS) {
+    return Array.from({ length: days }, (_, index) => {
+      const date = addDays(from, index);
+      return { from: date, to: date, label: date.slice(5) };
+    });
+  }
+  const segments = [];
+  for (let end = to; end >= from; end = addDays(end, -7)) {
+    const start = addDays(end, -6) < from ? from : addDays(end, -6);
+    segments.unshift({ from: start, to: end, label: `${start.slice(5)}~${end.slice(5)}` });
+  }
+  return segments;
+};
+
+// 从第一次快照所在月份到 to 所在月份的自然月
+const monthSegments = (firstDate, to) => {
+  const segments = [];
+  for (let month = periodRange("month", firstDate); month.from <= to; month = periodRange("month", addDays(month.to, 1))) {
+    segments.push({ from: month.from, to: month.to < to ? month.to : to, label: month.label });
+  }
+  return segments;
+};
+
+// ========== 摘要 ==========
+
+/**
+ * 计算摘要所需的全部数值，range 为分析的区间 { from, to }
+ * 返回 { range, previous, repos: [...] }，仓库按区间结束时的 Stars 降序
+ */
+const summarizeRepos = (data, repos, range) => {
+  const report = buildPeriodReport(data, repos, range);
+  const dates = Object.keys(data).sort();
+  const segments = windowSegments(range);
+
+  const items = report.repos.map(item => {
+    const first = dates.find(date => data[date][item.repo]);
+    const trend = forecastRepo(data, item.repo, { asOf: range.to, window: daysBetween(range.from, range.to) + 1 });
+    return {
+      ...item,
+      first: first ? { date: first, stats: normalizeStats(data[first][item.repo]) } : null,
+      snapshots: dates.filter(date => date >= range.from && date <= range.to && data[date][item.repo]).length,
+      trend: trend.status === "ok" ? trend.trend.linear : null,
+      segments: segments.map(segment => aggregateRepo(data, item.repo, segment).diff?.stars ?? null),
+      months: first
+        ? monthSegments(first, range.to).map(month => ({
+          label: month.label,
+          value: aggregateRepo(data, item.repo, month).diff?.stars ?? null
+        }))
+        : []
+    };
+  });
+
+  return {
+    range: { from: report.from, to: report.to },
+    previous: report.previous,
+    totals: report.totals,
+    segments: segments.map(segment => segment.label),
+    repos: items.sort((a, b) => (b.end?.stats.stars ?? -1) - (a.end?.stats.stars ?? -1))
+  };
+};
+
+const overviewSection = (summary, shown, t) => {
+  const { range, previous, totals } = summary;
+  const lines = [
+    t("summary.range", { ...range, days: daysBetween(range.from, range.to) + 1, previous }),
+    t("summary.repos", { count: summary.repos.length, stars: cell(totals.stars), diff: signed(totals.starsDiff), previous: signed(totals.previousStarsDiff) }),
+    t("summary.commits", { diff: signed(totals.commitsDiff), previous: signed(totals.previousCommitsDiff) })
+  ];
+  if (shown < summary.repos.length) {
+    lines.push(t("summary.truncated", { shown, omitted: summary.repos.length - shown }));
+  }
+  return `#### ${t("summary.overview")}\n` + lines.map(line => `- ${line}`).join("\n");
+};
+
+const currentSection = (repos, t) => `#### ${t("summary.current")}\n` + table(
+  [t("column.repo"), "Stars", "Forks", "Commits", "Issues", "Open PRs", "Contributors", t("summary.firstSeen"), t("summary.starsSinceFirst")],
+  repos.map(item => {
+    const stats = item.end?.stats || {};
+    const sinceFirst = item.first && stats.stars !== undefined && stats.stars !== null && item.first.stats.stars !== null
+      ? signed(stats.stars - item.first.stats.stars)
+      : null;
+    return [item.repo, stats.stars, stats.forks, stats.commits, stats.issues, stats.openPRs, stats.contributors,
+      item.first?.date, sinceFirst];
+  })
+);
+
+// 单日极值：日期（增量）
+const dayCell = (day, t) => (day ? t("summary.dayValue", { date: day.date.slice(5), value: signed(day.value) }) : null);
+
+const changesSection = (repos, t) => `#### ${t("summary.changes")}\n` + table(
+  [t("column.repo"), t("column.starsDiff"), t("summary.previous"), t("column.growth"), t("column.forksDiff"),
+    t("column.commitsDiff"), t("column.issuesDiff"), t("summary.mergedPRsDiff"), t("column.rank"),
+    t("summary.bestDay"), t("summary.worstDay"), t("summary.trend"), t("summary.snapshots")],
+  repos.map(item => {
+    if (item.status !== "ok") {
+      return [item.repo, t(`summary.status.${item.status}`), null, null, null, null, null, null, null, null, null, null, item.snapshots];
+    }
+    const rank = item.rank.start && item.rank.end ? `${item.rank.start}→${item.rank.end}` : item.rank.end;
+    return [
+      item.repo,
+      signed(item.diff.stars),
+      signed(item.previousDiff?.stars),
+      item.growth.stars === null ? null : `${signed(item.growth.stars)}%`,
+      signed(item.diff.forks),
+      signed(item.diff.commits),
+      signed(item.diff.issues),
+      signed(item.diff.mergedPRs),
+      rank,
+      dayCell(item.bestDay, t),
+      dayCell(item.worstDay, t),
+      item.trend ? t("summary.trendValue", { perDay: signed(item.trend.perDay), r2: item.trend.r2 }) : null,
+      item.snapshots
+    ];
+  })
+);
+
+// 分段与每月历史只保留最近的 columns 列
+const segmentsSection = (summary, repos, columns, t) => {
+  const offset = Math.max(0, summary.segments.length - columns);
+  return `#### ${t("summary.segments")}\n` + table(
+    [t("column.repo"), ...summary.segments.slice(offset)],
+    repos.map(item => [item.repo, ...item.segments.slice(offset).map(signed)])
+  );
+};
+
+const monthsSection = (repos, columns, t) => {
+  const labels = [...new Set(repos.flatMap(item => item.months.map(month => month.label)))].sort().slice(-columns);
+  return `#### ${t("summary.months", { count: labels.length })}\n` + table(
+    [t("column.repo"), ...labels],
+    repos.map(item => [item.repo, ...labels.map(label => signed(item.months.find(month => month.label === label)?.value))])
+  );
+};
+
+const renderSummary = (summary, { repoLimit, segmentColumns, monthColumns }, t) => {
+  const repos = summary.repos.slice(0, repoLimit);
+  const sections = [overviewSection(summary, repos.length, t), currentSection(repos, t), changesSection(repos, t)];
+  if (segmentColumns > 0 && summary.segments.length > 1) sections.push(segmentsSection(summary, repos, segmentColumns, t));
+  if (monthColumns > 0) sections.push(monthsSection(repos, monthColumns, t));
+  return sections.join("\n\n");
+};
+
+/**
+ * 生成提示词使用的数据摘要，按 budget（token 数）裁剪
+ */
+const summarizeData = (data, repos, range, { budget = DEFAULT_TOKEN_BUDGET, t = defaultT } = {}) => {
+  const summary = summarizeRepos(data, repos, range);
+  const months = Math.max(0, ...summary.repos.map(item => item.months.length));
+  const layout = { repoLimit: summary.repos.length, segmentColumns: summary.segments.length, monthColumns: months };
+
+  // 裁剪步骤：返回 false 表示该项已无法再减少
+  const step = (key, next) => () => {
+    const value = next(layout[key]);
+    if (value === layout[key]) return false;
+    layout[key] = value;
+    return true;
+  };
+  const halve = (value) => (value > MIN_COLUMNS ? Math.max(MIN_COLUMNS, Math.floor(value / 2)) : value);
+  const shrink = [
+    step("monthColumns", halve),
+    step("segmentColumns", halve),
+    step("monthColumns", () => 0),
+    step("segmentColumns", () => 0),
+    step("repoLimit", value => (value > MIN_REPOS ? Math.max(MIN_REPOS, Math.floor(value * 0.7)) : value))
+  ];
+
+  let text = renderSummary(summary, layout, t);
+  while (estimateTokens(text) > budget) {
+    // 每次执行第一个仍能生效的裁剪步骤，全部无法再裁剪时保留当前结果
+    if (!shrink.some(step => step())) break;
+    text = renderSummary(summary, layout, t);
+  }
+  return text;
+};
+
+export {
+  DEFAULT_TOKEN_BUDGET,
+  estimateTokens,
+  summarizeRepos,
+  summarizeData
+};
@@ -0,0 +1,201 @@
+/**
+ * 提示词与报告文案模板
+ *
+ * 模板按语言存放在 templates/<lang>/ 下：*.md 为提示词模板与片段，messages.json 为报告标题等文案。
+ * 通过 TEMPLATES_DIR 指定自定义目录后，按以下顺序查找（同名文件覆盖，messages.json 按 key 合并）：
+ *   <自定义目录>/<lang>/ → <自定义目录>/ → 内置 templates/<lang>/ → 内置 templates/zh/
+ *
+ * 模板语法是 Mustache 的子集：
+ * - {{name}} / {{a.b}}：变量，未定义时为空，不做 HTML 转义
+ * - {{#name}}...{{/name}}：值为真时渲染，数组时逐项渲染（{{.}} 为当前项）
+ * - {{^name}}...{{/name}}：值为假或空数组时渲染
+ * - {{> name}}：引用同一语言下的其他模板（片段）
+ * - {{! 注释}}
+ * 单独占一行的区块、片段与注释标签不会留下空行。
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_LANG = "zh";
+const BUILTIN_DIR = fileURLToPath(new URL("./templates/", import.meta.url));
+const MESSAGES_FILE = "messages.json";
+const MAX_PARTIAL_DEPTH = 10;
+
+const TAG = /\{\{\s*([#^/>!]?)\s*([^}]*?)\s*\}\}/g;
+
+// ========== 渲染 ==========
+
+// 去掉单独占一行的区块、片段与注释标签所在行的缩进与换行（片段自身的内容以换行结尾）
+const stripStandalone = (source) => source.replace(/^[ \t]*(\{\{\s*[#^/!>][^}]*\}\})[ \t]*(?:\r?\n|(?![\s\S]))/gm, "$1");
+
+// 解析为语法树：文本、变量、片段、区块（children）
+const parse = (source, name) => {
+  const text = stripStandalone(source);
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  for (const match of text.matchAll(TAG)) {
+    const [tag, type, key] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > last) current.children.push({ type: "text", value: text.slice(last, match.index) });
+    last = match.index + tag.length;
+
+    if (type === "!") continue;
+    if (type === "#" || type === "^") {
+      const section = { type, key, children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (type === "/") {
+      if (stack.length === 1 || current.key !== key) {
+        throw new Error(`模板 ${name} 中的 {{/${key}}} 没有对应的开始标签`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: type === ">" ? "partial" : "var", key });
+    }
+  }
+  if (stack.length > 1) {
+    throw new Error(`模板 ${name} 中的 {{#${stack[stack.length - 1].key}}} 没有结束标签`);
+  }
+  if (last < text.length) root.children.push({ type: "text", value: text.slice(last) });
+  return root.children;
+};
+
+// 从内到外查找变量，支持 a.b 形式的路径
+const lookup = (contexts, key) => {
+  if (key === ".") return contexts[contexts.length - 1];
+  const [head, ...rest] = key.split(".");
+  for (let index = contexts.length - 1; index >= 0; index--) {
+    const context = contexts[index];
+    if (context !== null && typeof context === "object" && head in context) {
+      return rest.reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), context[head]);
+    }
+  }
+  return undefined;
+};
+
+const isEmpty = (value) => !value || (Array.isArray(value) && value.length === 0);
+
+/**
+ * 渲染模板文本
+ * partials 为 (name) => 模板文本，用于解析 {{> name}}
+ */
+const renderTemplate = (source, view = {}, partials = () => null, name = "template") => {
+  const renderNodes = (nodes, contexts, depth) => nodes.map(node => {
+    if (node.type === "text") return node.value;
+    if (node.type === "var") {
+      const value = lookup(contexts, node.key);
+      return value === null || value === undefined ? "" : String(value);
+    }
+    if (node.type === "partial") {
+      if (depth >= MAX_PARTIAL_DEPTH) throw new Error(`模板片段嵌套超过 ${MAX_PARTIAL_DEPTH} 层：${node.key}`);
+      const partial = partials(node.key);
+      if (partial === null) throw new Error(`模板 ${name} 引用的片段 ${node.key} 不存在`);
+      return renderNodes(parse(partial, node.key), contexts, depth + 1);
+    }
+
+    const value = lookup(contexts, node.key);
+    if (node.type === "^") return isEmpty(value) ? renderNodes(node.children, contexts, depth) : "";
+    if (isEmpty(value)) return "";
+    const items = Array.isArray(value) ? value : [value];
+    return items.map(item => renderNodes(node.children, [...contexts, item], depth)).join("");
+  }).join("");
+
+  return renderNodes(parse(source, name), [view], 0);
+};
+
+// ========== 加载 ==========
+
+const readIfExists = (file) => {
+  try {
+    return fs.readFileSync(file, "utf-8");
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw new Error(`模板 ${file} 读取失败: ${e.message}`);
+  }
+};
+
+const readMessages = (dir) => {
+  const text = readIfExists(path.join(dir, MESSAGES_FILE));
+  if (text === null) return {};
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`文案 ${path.join(dir, MESSAGES_FILE)} 不是有效的 JSON: ${e.message}`);
+  }
+};
+
+// 可用的语言：内置语言与自定义目录下的语言子目录
+const availableLanguages = (dir = null) => [BUILTIN_DIR, dir].filter(Boolean).flatMap(root => {
+  try {
+    return fs.readdirSync(root, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && fs.existsSync(path.join(root, entry.name, MESSAGES_FILE)))
+      .map(entry => entry.name);
+  } catch {
+    return [];
+  }
+}).filter((lang, index, langs) => langs.indexOf(lang) === index);
+
+/**
+ * 创建模板集
+ * render(name, view) 渲染 <name>.md，t(key, view) 渲染 messages.json 中的文案（key 不存在时原样返回）
+ */
+const createTemplates = ({ lang = DEFAULT_LANG, dir = null } = {}) => {
+  if (dir && !fs.existsSync(dir)) {
+    throw new Error(`模板目录 ${dir} 不存在`);
+  }
+  const languages = availableLanguages(dir);
+  if (!languages.includes(lang)) {
+    throw new Error(`不支持的报告语言: ${lang}（可选：${languages.join(", ")}）`);
+  }
+
+  // 查找顺序：自定义目录的语言子目录、自定义目录、内置语言、内置默认语言
+  const dirs = [
+    dir && path.join(dir, lang),
+    dir,
+    path.join(BUILTIN_DIR, lang),
+    path.join(BUILTIN_DIR, DEFAULT_LANG)
+  ].filter(Boolean).filter((item, index, items) => items.indexOf(item) === index);
+
+  const sources = new Map();
+  const source = (name) => {
+    if (!sources.has(name)) {
+      sources.set(name, dirs.map(item => readIfExists(path.join(item, `${name}.md`))).find(text => text !== null) ?? null);
+    }
+    return sources.get(name);
+  };
+
+  const messages = Object.assign({}, ...[...dirs].reverse().map(readMessages));
+
+  const render = (name, view = {}) => {
+    const template = source(name);
+    if (template === null) throw new Error(`模板 ${name}.md 不存在（查找目录：${dirs.join(", ")}）`);
+    // 模板文件末尾的换行不计入结果
+    return renderTemplate(template, view, source, name).replace(/\r?\n$/, "");
+  };
+
+  const t = (key, view = {}) => (key in messages ? renderTemplate(messages[key], view, () => null, key) : key);
+
+  return { lang, dir, render, t };
+};
+
+// 内置的默认语言模板，供未指定文案的调用使用
+let defaultTemplates = null;
+
+const getDefaultTemplates = () => {
+  defaultTemplates = defaultTemplates || createTemplates();
+  return defaultTemplates;
+};
+
+// 内置默认语言的文案，各模块 t 参数的缺省值
+const defaultT = (key, view) => getDefaultTemplates().t(key, view);
+
+export {
+  DEFAULT_LANG,
+  renderTemplate,
+  availableLanguages,
+  createTemplates,
+  getDefaultTemplates,
+  defaultT
+};
@@ -0,0 +1,323 @@
+/**
+ * 监控列表
+ *
+ * 监控的仓库保存在 WATCHLIST_FILE（默认 watchlist.json），可在运行时通过命令行、MCP 工具、HTTP 接口
+ * 与飞书命令增删，不需要重新部署。文件不存在时以 REPORT_REPOS 为初始列表，第一次修改时写入文件，
+ * 之后以文件为准。
+ *
+ * 仓库可以打多个标签（如 rag、agents），同一标签的仓库组成一个分组：报告、告警与分析可以用 #标签
+ * 限定范围，周期报告按分组汇总。移出监控列表只是不再采集，历史数据保留在数据文件中。
+ *
+ * 除了具体的仓库，还可以添加发现规则（org:datawhalechina、topic:llm org:x，见 discovery.js），
+ * 每次日报时重新解析；最近一次解析的结果保存在 DISCOVERY_STATE_FILE，其他任务直接使用。
+ *
+ * 文件格式：
+ * {
+ *   "repos": { "owner/name": { "tags": ["rag"], "addedAt": "2025-07-01T00:00:00.000Z" } },
+ *   "discover": { "org:datawhalechina": { "tags": [], "include": [], "exclude": [], "archived": false,
+ *                                        "forks": false, "minStars": 0, "addedAt": "..." } }
+ * }
+ */
+import fs from "fs";
+import { withFileLock, writeFileAtomic } from "./storage.js";
+import { DiscoveryError, isDiscoveryTarget, parseTarget, normalizeFilters, describeFilters } from "./discovery.js";
+import { defaultT } from "./templates.js";
+
+const DEFAULT_WATCHLIST_FILE = "watchlist.json";
+const DEFAULT_DISCOVERY_STATE_FILE = ".discovery-state.json";
+const REPO_PATTERN = /^[\w.-]+\/[\w.-]+$/;
+const TAG_PATTERN = /^[\p{L}\p{N}_.-]+$/u;
+// 仓库参数中以 # 开头的表示分组
+const GROUP_PREFIX = "#";
+
+class WatchlistError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WatchlistError";
+  }
+}
+
+// ========== 校验 ==========
+
+const checkRepos = (repos) => {
+  const invalid = repos.filter(repo => !REPO_PATTERN.test(repo));
+  if (repos.length === 0 || invalid.length > 0) {
+    throw new WatchlistError(`无效的仓库：${invalid.join(", ") || "（空）"}（格式为 owner/name）`);
+  }
+  return [...new Set(repos)];
+};
+
+// 标签可带 # 前缀，去掉前缀后校验
+const normalizeTags = (tags = []) => {
+  const normalized = tags.map(tag => String(tag).trim().replace(/^#/, "")).filter(Boolean);
+  const invalid = normalized.filter(tag => !TAG_PATTERN.test(tag));
+  if (invalid.length > 0) {
+    throw new WatchlistError(`无效的标签：${invalid.join(", ")}（只能包含文字、数字、_ . -）`);
+  }
+  return [...new Set(normalized)];
+};
+
+const isGroup = (name) => name.startsWith(GROUP_PREFIX);
+
+// 发现规则的解析与筛选条件错误统一为 WatchlistError
+const checked = (fn) => {
+  try {
+    return fn();
+  } catch (e) {
+    if (e instanceof DiscoveryError) throw new WatchlistError(e.message);
+    throw e;
+  }
+};
+
+// 将参数分为具体的仓库与发现规则
+const splitNames = (names) => ({
+  repos: names.filter(name => !isDiscoveryTarget(name)),
+  specs: names.filter(isDiscoveryTarget).map(name => checked(() => parseTarget(name)).spec)
+});
+
+const readJson = (file, label) => {
+  let content;
+  try {
+    content = fs.readFileSync(file, "utf-8");
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw new WatchlistError(`${label} ${file} 读取失败: ${e.message}`);
+  }
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    throw new WatchlistError(`${label} ${file} 不是有效的 JSON: ${e.message}`);
+  }
+};
+
+// ========== 监控列表 ==========
+
+/**
+ * 创建监控列表
+ * defaults 为文件不存在时的初始仓库与发现规则（REPORT_REPOS）；每次读取都重新加载文件，其他进程的修改立即生效
+ */
+const createWatchlist = ({
+  file = DEFAULT_WATCHLIST_FILE,
+  stateFile = DEFAULT_DISCOVERY_STATE_FILE,
+  defaults = []
+} = {}) => {
+  const load = () => {
+    const parsed = readJson(file, "监控列表");
+    if (parsed) return { source: "file", repos: parsed.repos || {}, discover: parsed.discover || {} };
+    const { repos, specs } = splitNames(defaults);
+    return {
+      source: "env",
+      repos: Object.fromEntries(repos.map(repo => [repo, { tags: [], addedAt: null }])),
+      discover: Object.fromEntries(specs.map(spec => [spec, { tags: [], ...normalizeFilters(), addedAt: null }]))
+    };
+  };
+
+  // 加锁读取、修改并写回，update 返回本次操作的结果
+  const modify = (update) => withFileLock(file, () => {
+    const current = load();
+    const result = update(current.repos, current.discover);
+    const content = Object.keys(current.discover).length > 0
+      ? { repos: current.repos, discover: current.discover }
+      : { repos: current.repos };
+    writeFileAtomic(file, JSON.stringify(content, null, 2) + "\n");
+    return result;
+  });
+
+  // 各发现规则最近一次解析到的仓库：{ 规则: { repos, resolvedAt } }
+  const loadState = () => readJson(stateFile, "发现结果") || {};
+
+  // 发现规则及筛选条件，repos 为最近一次解析的结果
+  const targets = () => {
+    const state = loadState();
+    return checked(() => Object.entries(load().discover).map(([spec, entry]) => ({
+      ...parseTarget(spec),
+      tags: entry.tags || [],
+      filters: normalizeFilters(entry),
+      addedAt: entry.addedAt || null,
+      repos: state[spec]?.repos || [],
+      resolvedAt: state[spec]?.resolvedAt || null
+    })));
+  };
+
+  /**
+   * 监控中的仓库：列表中的仓库，加上发现规则解析到的仓库（discoveredBy 为规则）
+   * discovered 为 { 规则: [仓库] } 时使用这份结果代替已保存的解析结果
+   */
+  const entries = (discovered = null) => {
+    const { repos: listed } = load();
+    const result = new Map(Object.entries(listed).map(([repo, entry]) => [repo, {
+      repo,
+      tags: entry.tags || [],
+      addedAt: entry.addedAt || null,
+      discoveredBy: null
+    }]));
+    for (const target of targets()) {
+      for (const repo of discovered?.[target.spec] || target.repos) {
+        const existing = result.get(repo);
+        if (existing) {
+          existing.tags = [...new Set([...existing.tags, ...target.tags])];
+        } else {
+          result.set(repo, { repo, tags: target.tags, addedAt: null, discoveredBy: target.spec });
+        }
+      }
+    }
+    return [...result.values()];
+  };
+
+  const repos = (tag = null, discovered = null) => entries(discovered)
+    .filter(entry => !tag || entry.tags.includes(tag))
+    .map(entry => entry.repo);
+
+  // 分组：{ 标签: [仓库] }，按标签名排序
+  const groups = () => {
+    const result = {};
+    for (const entry of entries()) {
+      for (const tag of entry.tags) (result[tag] = result[tag] || []).push(entry.repo);
+    }
+    return Object.fromEntries(Object.keys(result).sort().map(tag => [tag, result[tag]]));
+  };
+
+  const tagsOf = (repo) => entries().find(entry => entry.repo === repo)?.tags || [];
+
+  /**
+   * 解析仓库参数：owner/name、监控列表中唯一的名称部分，或 #标签（展开为分组内的仓库）
+   * 参数为空时返回全部监控的仓库
+   */
+  const select = (names = []) => {
+    if (names.length === 0) return repos();
+    const watched = repos();
+    return [...new Set(names.flatMap(name => {
+      if (isGroup(name)) {
+        const [tag] = normalizeTags([name]);
+        const members = repos(tag);
+        if (members.length === 0) {
+          throw new WatchlistError(`分组 ${name} 中没有仓库，可用的分组：${Object.keys(groups()).map(item => GROUP_PREFIX + item).join(", ") || "（无）"}`);
+        }
+        return members;
+      }
+      if (name.includes("/")) return checkRepos([name]);
+      const found = watched.filter(repo => repo.split("/")[1] === name);
+      if (found.length !== 1) {
+        throw new WatchlistError(`未找到仓库 ${name}，监控中的仓库：${watched.join(", ") || "（无）"}`);
+      }
+      return found;
+    }))];
+  };
+
+  /**
+   * 添加仓库或发现规则，已在列表中的合并标签
+   * filters 为发现规则的筛选条件（见 discovery.js），只能与发现规则一起使用；已有的规则会更新筛选条件
+   */
+  const add = (names, tags = [], filters = null) => {
+    const { repos: listed, specs } = splitNames(names);
+    if (listed.length > 0 || specs.length === 0) checkRepos(listed);
+    if (filters && specs.length === 0) {
+      throw new WatchlistError("筛选条件只适用于发现规则（org:、user:、topic:）");
+    }
+    const newTags = normalizeTags(tags);
+    const newFilters = filters ? checked(() => normalizeFilters(filters)) : null;
+    return modify((current, discover) => {
+      const added = [];
+      const updated = [];
+      const merge = (collection, key, extra = {}) => {
+        const entry = collection[key];
+        if (!entry) {
+          collection[key] = { tags: newTags, ...extra, addedAt: new Date().toISOString() };
+          added.push(key);
+          return;
+        }
+        const merged = [...new Set([...(entry.tags || []), ...newTags])];
+        const changed = merged.length !== (entry.tags || []).length ||
+          Object.entries(extra).some(([name, value]) => JSON.stringify(entry[name]) !== JSON.stringify(value));
+        Object.assign(entry, extra, { tags: merged });
+        if (changed) updated.push(key);
+      };
+      [...new Set(listed)].forEach(repo => merge(current, repo));
+      [...new Set(specs)].forEach(spec => merge(discover, spec, newFilters || (discover[spec] ? {} : normalizeFilters())));
+      return { added, updated };
+    });
+  };
+
+  // 移出监控列表，不删除历史数据；移除发现规则后，它发现的仓库也不再采集
+  const remove = (names) => {
+    const { repos: listed, specs } = splitNames(names);
+    if (listed.length > 0 || specs.length === 0) checkRepos(listed);
+    return modify((current, discover) => {
+      const removed = [...listed.filter(repo => current[repo]), ...specs.filter(spec => discover[spec])];
+      listed.forEach(repo => delete current[repo]);
+      specs.forEach(spec => delete discover[spec]);
+      return { removed, missing: [...listed, ...specs].filter(name => !removed.includes(name)) };
+    });
+  };
+
+  // 为列表中的仓库或发现规则添加、移除标签
+  const updateTags = (names, { add: addTags = [], remove: removeTags = [] } = {}) => {
+    const { repos: listed, specs } = splitNames(names);
+    if (listed.length > 0 || specs.length === 0) checkRepos(listed);
+    const toAdd = normalizeTags(addTags);
+    const toRemove = normalizeTags(removeTags);
+    return modify((current, discover) => {
+      const missing = [...listed.filter(repo => !current[repo]), ...specs.filter(spec => !discover[spec])];
+      if (missing.length > 0) {
+        throw new WatchlistError(`不在监控列表中：${missing.join(", ")}`);
+      }
+      return [...listed.map(repo => [repo, current[repo]]), ...specs.map(spec => [spec, discover[spec]])]
+        .map(([name, entry]) => {
+          entry.tags = [...new Set([...(entry.tags || []), ...toAdd])].filter(tag => !toRemove.includes(tag));
+          return { repo: name, tags: entry.tags };
+        });
+    });
+  };
+
+  // 保存发现规则的解析结果
+  const recordDiscovery = (spec, repos) => withFileLock(stateFile, () => {
+    const state = loadState();
+    state[spec] = { repos, resolvedAt: new Date().toISOString() };
+    writeFileAtomic(stateFile, JSON.stringify(state, null, 2) + "\n");
+  });
+
+  return {
+    file,
+    stateFile,
+    source: () => load().source,
+    list: (tag = null, discovered = null) => entries(discovered).filter(entry => !tag || entry.tags.includes(tag)),
+    targets,
+    repos,
+    groups,
+    tagsOf,
+    select,
+    add,
+    remove,
+    updateTags,
+    recordDiscovery
+  };
+};
+
+// 监控列表的文本形式，用于命令行与飞书回复；文案见 messages.json 的 watch.*，t 缺省为内置中文
+const formatWatchlist = (entries, targets = [], t = defaultT) => {
+  const tagText = (tags) => (tags.length > 0 ? "  " + tags.map(tag => GROUP_PREFIX + tag).join(" ") : "");
+  const note = (text) => "  " + t("watch.note", { text });
+  const lines = [entries.length === 0 && targets.length === 0
+    ? t("watch.empty")
+    : [`【${t("watch.heading")}】${t("watch.count", { count: entries.length })}`, ...entries
+      .map(entry => `- ${entry.repo}${tagText(entry.tags)}${entry.discoveredBy ? note(entry.discoveredBy) : ""}`)]
+      .join("\n")];
+  if (targets.length > 0) {
+    lines.push(`【${t("watch.targetsHeading")}】${t("watch.ruleCount", { count: targets.length })}\n` + targets.map(target => {
+      const filters = describeFilters(target.filters, t);
+      const resolved = target.resolvedAt ? t("watch.resolved", { count: target.repos.length }) : t("watch.unresolved");
+      return `- ${target.spec}${tagText(target.tags)}${note([filters, resolved].filter(Boolean).join(t("watch.noteSeparator")))}`;
+    }).join("\n"));
+  }
+  return lines.join("\n\n");
+};
+
+export {
+  DEFAULT_WATCHLIST_FILE,
+  DEFAULT_DISCOVERY_STATE_FILE,
+  REPO_PATTERN,
+  GROUP_PREFIX,
+  WatchlistError,
+  createWatchlist,
+  formatWatchlist
+};